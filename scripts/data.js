@@ -1,96 +1,841 @@
-
 // scripts/data.js
-// SebType Data manager (localStorage-backed)
+// SebType Data manager (IndexedDB-backed, localStorage fallback)
 // Exposes global `Data` with methods to record runs, manage a leaderboard/history,
-// export/import JSON, compute aggregates, and prune old entries.
+// export/import JSON and CSV, compute aggregates, and prune old entries.
 //
 // Usage examples:
 // Data.recordRun({ wpm: 120, accuracy: 98, raw: 130, elapsed: 60, mode:'english', date: Date.now() })
 // Data.getTop({ limit: 10 })
+// Data.getTop({ testType: 'words', wordCount: 25 })
+// Data.getPersonalBest({ quoteId: 12 })   best run on one quote (quotes mode)
+// Data.getPersonalBest({ mode: 'numbers', testType: 'time', timeLimit: 15, numbers: true })
+// Data.lastPersonalBest() -> { runId, isNew, previous, margin }
 // Data.getHistory({ page:1, pageSize:20 })
+// Data.getHistoryAsync({ page: 2, pageSize: 20, mode: 'english' }) -> Promise, same shape, any query() filter
+// Data.queryAsync({ from, to, mode, offset: 0, limit: 50 }) -> Promise<{ total, offset, limit, data }>
+// Data.ready (Promise), Data.getBackend() -> 'indexeddb' | 'localstorage'
+// Data.registerRunMigration(version, name, step), Data.getRunsBackup() -> Promise,
+// Data.restoreRunsBackup() -> Promise<boolean>, Data.discardRunsBackup() -> Promise
 // Data.export() -> json string
 // Data.import(jsonString)
+// Data.exportCsv({ columns: ['date', 'wpm', 'accuracy'], mode: 'english' }) -> csv string
+// Data.importCsv(csvText, { format: 'auto', mapping: { wpm: 'speed' }, merge: true }) -> { imported, skipped, format }
 // Data.clearHistory()
 
 (function (global) {
-  const STORAGE_KEY = 'sebtype:history:v1'
-  const LEADERBOARD_KEY = 'sebtype:leaderboard:v1'
+  const STORAGE_KEY = Store.KEYS.history
+  const LEADERBOARD_KEY = Store.KEYS.leaderboard
+  const PB_KEY = Store.KEYS.personalBests
   const DEFAULT_MAX_HISTORY = 2000
   const DEFAULT_MAX_LEADERS = 200
+  // run details (keylog, targetWords, samples, bigramStats) are capped per run and only kept on the
+  // newest runs so storage stays small; keyStats is small and kept on every run
+  const MAX_KEYLOG_EVENTS = 5000   // per run
+  const MAX_KEYLOG_RUNS = 100      // newest runs that keep their keylog
+  const MAX_SAMPLES = 3600         // per-second samples per run (an hour)
+  // localStorage fallback: serialized size the history may take (quotas are around 5M characters, and
+  // 100 full keylogs alone can exceed that); see _save
+  const MAX_LOCAL_HISTORY_CHARS = 3000000
+  // the newest DEFAULT_MAX_HISTORY runs are kept in memory for the synchronous API and persisted to
+  // this database (store 'runs' indexed by date, mode and [mode, date]; store 'leaderboard'), which
+  // keeps older runs too (read them with queryAsync); without IndexedDB (or if it fails to open) only
+  // the cached runs are kept, in localStorage
+  const IDB_NAME = 'sebtype'
+  const IDB_VERSION = 2
+  const RUNS_STORE = 'runs'
+  const LEADERS_STORE = 'leaderboard'
+  // Store's migrations only see localStorage, so the runs in the database carry their own version:
+  // 'meta' holds { key: 'runs', version } and { key: 'backup', fromVersion, toVersion, createdAt }, and
+  // 'runsBackup' the runs as they were before the last run migration (see _migrateRuns)
+  const META_STORE = 'meta'
+  const BACKUP_STORE = 'runsBackup'
+
+  // run version -> { version, name, step }
+  const runMigrations = {}
 
   // In-memory caches
   let history = []
   let leaderboard = []
 
+  // personal bests, configuration key (see _configKey) -> { id, wpm, accuracy, raw, consistency, date,
+  // config }; quote runs also hold a best per quote, config { quoteId, difficulty }. Persisted on their
+  // own so they outlive history pruning; stored runs are folded in on load.
+  let bests = {}
+  // PB check of the last recordRun
+  let lastBest = null
+
+  // 'indexeddb' while the database is in use (or opening), else 'localstorage'
+  let backend = 'localstorage'
+  let db = null
+  // IndexedDB writes run one after another, after the database has opened
+  let writes = Promise.resolve()
+  // leaderboard entries as last written to the database, by id (writes only send the difference)
+  let storedLeaders = new Map()
+  // while stored runs load, clears and deletes only reach the caches; _mergeLoaded must not bring
+  // those runs back
+  let loading = false
+  let clearedWhileLoading = false
+  const removedWhileLoading = new Set()
+
   // Load from localStorage (safe)
   function _load() {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY)
-      history = raw ? JSON.parse(raw) : []
-    } catch (e) {
-      console.warn('[Data] failed to parse history', e)
-      history = []
+    history = Store.read(STORAGE_KEY, { fallback: [], validate: list => _validRuns(list, STORAGE_KEY) })
+    leaderboard = Store.read(LEADERBOARD_KEY, { fallback: [], validate: list => _validLeaders(list, LEADERBOARD_KEY) })
+  }
+
+  // Save to localStorage (safe). Run details are most of the history's size, so the oldest runs that
+  // still have them lose them until it fits MAX_LOCAL_HISTORY_CHARS, and more of them (a quarter at a
+  // time) while the write still fails; false if something could not be saved
+  function _save() {
+    let size = JSON.stringify(history).length
+    for (let i = 0; i < history.length && size > MAX_LOCAL_HISTORY_CHARS; i++) {
+      const before = JSON.stringify(history[i]).length
+      if (_stripDetails(history[i])) size -= before - JSON.stringify(history[i]).length
     }
-    try {
-      const raw2 = localStorage.getItem(LEADERBOARD_KEY)
-      leaderboard = raw2 ? JSON.parse(raw2) : []
-    } catch (e) {
-      console.warn('[Data] failed to parse leaderboard', e)
-      leaderboard = []
+    let saved = Store.write(STORAGE_KEY, history)
+    while (!saved) {
+      const detailed = history.filter(_hasDetails)
+      if (!detailed.length) break
+      detailed.slice(0, Math.ceil(detailed.length / 4)).forEach(_stripDetails)
+      saved = Store.write(STORAGE_KEY, history)
     }
+    if (!saved) console.warn('[Data] history does not fit in localStorage; the latest changes were not saved')
+    return Store.write(LEADERBOARD_KEY, leaderboard) && saved
   }
 
-  // Save to localStorage (safe)
-  function _save() {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(history))
-      localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(leaderboard))
-    } catch (e) {
-      console.warn('[Data] failed to save', e)
+  // stored runs as current records; anything that is not a run (no id, wpm or date) is quarantined
+  function _finite(v) {
+    return v != null && v !== '' && Number.isFinite(Number(v))
+  }
+
+  function _validRuns(list, source) {
+    if (!Array.isArray(list)) throw new Error('run list expected')
+    const bad = list.filter(r => !r || typeof r !== 'object' || Array.isArray(r) || r.id == null || !_finite(r.wpm) || !_finite(r.date))
+    Store.quarantine(source, bad)
+    return list.filter(r => !bad.includes(r)).map(_reviveRecord)
+  }
+
+  function _validLeaders(list, source) {
+    if (!Array.isArray(list)) throw new Error('leaderboard list expected')
+    const bad = list.filter(l => !l || typeof l !== 'object' || l.id == null || !Number.isFinite(Number(l.wpm)))
+    Store.quarantine(source, bad)
+    return list.filter(l => !bad.includes(l))
+  }
+
+  // a stored run in the current record shape; details pruned from older runs stay pruned
+  function _reviveRecord(r) {
+    const rec = _makeRecord(r)
+    if (!r.samples) delete rec.samples
+    if (!r.bigramStats) delete rec.bigramStats
+    return rec
+  }
+
+  // promise for an IndexedDB request's result
+  function _req(r) {
+    return new Promise((resolve, reject) => {
+      r.onsuccess = () => resolve(r.result)
+      r.onerror = () => reject(r.error)
+    })
+  }
+
+  // promise for a transaction's completion
+  function _done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve()
+      tx.onerror = tx.onabort = () => reject(tx.error)
+    })
+  }
+
+  function _openDb() {
+    if (!global.indexedDB) return Promise.reject(new Error('IndexedDB not available'))
+    const req = global.indexedDB.open(IDB_NAME, IDB_VERSION)
+    req.onupgradeneeded = () => {
+      const d = req.result
+      if (!d.objectStoreNames.contains(RUNS_STORE)) {
+        const runs = d.createObjectStore(RUNS_STORE, { keyPath: 'id' })
+        runs.createIndex('date', 'date')
+        runs.createIndex('mode', 'mode')
+        runs.createIndex('mode_date', ['mode', 'date'])
+      }
+      if (!d.objectStoreNames.contains(LEADERS_STORE)) d.createObjectStore(LEADERS_STORE, { keyPath: 'id' })
+      if (!d.objectStoreNames.contains(META_STORE)) d.createObjectStore(META_STORE, { keyPath: 'key' })
+      if (!d.objectStoreNames.contains(BACKUP_STORE)) d.createObjectStore(BACKUP_STORE, { keyPath: 'id' })
+    }
+    return _req(req)
+  }
+
+  function _latestRunVersion() {
+    return Object.keys(runMigrations).reduce((max, v) => Math.max(max, Number(v)), 0)
+  }
+
+  // bring the stored runs up to the latest run version in one transaction. The runs are copied to
+  // BACKUP_STORE first (replacing the previous backup); a step that throws aborts the transaction,
+  // so runs, backup and version stay as they were. Runs a step sets aside are quarantined. A
+  // database without runs starts at the latest version. Never rejects: unmigrated runs still load
+  function _migrateRuns() {
+    const latest = _latestRunVersion()
+    const tx = db.transaction([RUNS_STORE, META_STORE, BACKUP_STORE], 'readwrite')
+    const meta = tx.objectStore(META_STORE)
+    const runs = tx.objectStore(RUNS_STORE)
+    const bad = []
+    let from = 0
+    let migrated = 0
+    let failed = null
+    const versionReq = meta.get('runs')
+    versionReq.onsuccess = () => {
+      from = versionReq.result ? Number(versionReq.result.version) || 0 : 0
+      const pending = Object.keys(runMigrations).map(Number).filter(v => v > from).sort((a, b) => a - b)
+      if (!pending.length) return
+      const allReq = runs.getAll()
+      allReq.onsuccess = () => {
+        const list = allReq.result
+        meta.put({ key: 'runs', version: latest })
+        if (!list.length) return
+        const backup = tx.objectStore(BACKUP_STORE)
+        backup.clear()
+        list.forEach(r => backup.put(r))
+        meta.put({ key: 'backup', fromVersion: from, toVersion: latest, createdAt: Date.now() })
+        for (const r of list) {
+          let rec = r
+          for (const v of pending) {
+            try {
+              rec = runMigrations[v].step(rec)
+            } catch (e) {
+              failed = { version: v, error: e }
+              try { tx.abort() } catch (err) {}
+              return
+            }
+            if (!rec || typeof rec !== 'object' || rec.id !== r.id) break
+          }
+          if (rec && typeof rec === 'object' && rec.id === r.id) runs.put(rec)
+          else {
+            bad.push(r)
+            runs.delete(r.id)
+          }
+        }
+        migrated = list.length
+      }
     }
+    return _done(tx)
+      .then(() => {
+        Store.quarantine(`${IDB_NAME}/${RUNS_STORE}`, bad)
+        if (migrated) console.log('%c[Data] migrated stored runs', 'color:#37e67d', `v${from} -> v${latest}`, migrated)
+      })
+      .catch(e => {
+        const step = failed ? `${failed.version} (${runMigrations[failed.version].name})` : ''
+        console.warn(`[Data] run migration ${step} failed, stored runs left at v${from}`, failed ? failed.error : e)
+      })
+  }
+
+  // one-time move of the v1 localStorage arrays into the database; the keys go once copied
+  function _migrateLocal() {
+    if (Store.readRaw(STORAGE_KEY) == null && Store.readRaw(LEADERBOARD_KEY) == null) return Promise.resolve()
+    const runs = Store.read(STORAGE_KEY, { fallback: [], validate: list => _validRuns(list, STORAGE_KEY) })
+    const leaders = Store.read(LEADERBOARD_KEY, { fallback: [], validate: list => _validLeaders(list, LEADERBOARD_KEY) })
+    const tx = db.transaction([RUNS_STORE, LEADERS_STORE], 'readwrite')
+    runs.filter(r => r && r.id != null).forEach(r => tx.objectStore(RUNS_STORE).put(r))
+    leaders.filter(l => l && l.id != null).forEach(l => tx.objectStore(LEADERS_STORE).put(l))
+    return _done(tx).then(() => {
+      Store.remove(STORAGE_KEY)
+      Store.remove(LEADERBOARD_KEY)
+      console.log('%c[Data] moved localStorage history to IndexedDB:', 'color:#37e67d', runs.length)
+    })
+  }
+
+  // the newest DEFAULT_MAX_HISTORY stored runs (oldest first) and the leaderboard entries
+  function _idbLoad() {
+    const tx = db.transaction([RUNS_STORE, LEADERS_STORE], 'readonly')
+    const runs = new Promise((resolve, reject) => {
+      const out = []
+      const req = tx.objectStore(RUNS_STORE).index('date').openCursor(null, 'prev')
+      req.onsuccess = () => {
+        const cursor = req.result
+        if (!cursor || out.length >= DEFAULT_MAX_HISTORY) return resolve(out.reverse())
+        out.push(cursor.value)
+        cursor.continue()
+      }
+      req.onerror = () => reject(req.error)
+    })
+    return Promise.all([runs, _req(tx.objectStore(LEADERS_STORE).getAll())])
+  }
+
+  // stored data first, then anything recorded while it was loading
+  function _mergeLoaded(runs, leaders) {
+    const gone = r => clearedWhileLoading || removedWhileLoading.has(r.id)
+    runs = runs.filter(r => !gone(r))
+    leaders = leaders.filter(l => !gone(l))
+    const ids = new Set(runs.map(r => r.id))
+    history = runs.concat(history.filter(r => !ids.has(r.id)))
+    _foldBests(history)
+    const leaderIds = new Set(leaders.map(l => l.id))
+    leaderboard = leaders.concat(leaderboard.filter(l => !leaderIds.has(l.id))).sort(_byRank).slice(0, DEFAULT_MAX_LEADERS)
+  }
+
+  // open the database, migrate, then fill the caches; falls back to localStorage on any failure
+  function _start() {
+    backend = 'indexeddb'
+    loading = true
+    writes = _openDb()
+      .then(d => {
+        db = d
+        return _migrateRuns()
+      })
+      .then(_migrateLocal)
+      .then(_idbLoad)
+      .then(([runs, leaders]) => {
+        const valid = _validLeaders(leaders, `${IDB_NAME}/${LEADERS_STORE}`)
+        storedLeaders = new Map(valid.map(l => [l.id, l]))
+        _mergeLoaded(_validRuns(runs, `${IDB_NAME}/${RUNS_STORE}`), valid)
+        console.log('%c[Data] IndexedDB ready. entries:', 'color:#37e67d', history.length, 'leaders:', leaderboard.length)
+      })
+      .catch(e => {
+        console.warn('[Data] IndexedDB unavailable, using localStorage', e)
+        db = null
+        backend = 'localstorage'
+      })
+      .then(() => {
+        loading = false
+        clearedWhileLoading = false
+        removedWhileLoading.clear()
+      })
+    return writes
+  }
+
+  // a clear (no id) or delete made before the stored runs are in the caches
+  function _forgetStored(id) {
+    if (!loading) return
+    if (id == null) clearedWhileLoading = true
+    else removedWhileLoading.add(id)
+  }
+
+  // write the changed runs ({ put, del, clear }) and leaderboard entries in one transaction; a
+  // request that throws aborts it, so a clear is never committed without the runs that replace it
+  function _idbWrite({ put = [], del = [], clear = false } = {}) {
+    writes = writes.then(() => {
+      // the database failed to open in the meantime
+      if (!db) return _save()
+      const current = new Map(leaderboard.map(l => [l.id, l]))
+      const tx = db.transaction([RUNS_STORE, LEADERS_STORE], 'readwrite')
+      try {
+        const runs = tx.objectStore(RUNS_STORE)
+        if (clear) runs.clear()
+        del.forEach(id => runs.delete(id))
+        put.forEach(r => runs.put(r))
+        const leaders = tx.objectStore(LEADERS_STORE)
+        storedLeaders.forEach((l, id) => { if (!current.has(id)) leaders.delete(id) })
+        current.forEach((l, id) => { if (storedLeaders.get(id) !== l) leaders.put(l) })
+      } catch (e) {
+        try { tx.abort() } catch (err) {}
+        throw e
+      }
+      return _done(tx).then(() => { storedLeaders = current })
+    }).catch(e => console.warn('[Data] failed to save', e))
+    return writes
+  }
+
+  // persist a change to the caches with the active backend
+  function _persist(changes = {}) {
+    if (backend === 'indexeddb') return _idbWrite(changes)
+    return Promise.resolve(_save())
+  }
+
+  // leaderboard order: wpm desc, then accuracy desc, then oldest first
+  function _byRank(a, b) {
+    if (b.wpm !== a.wpm) return b.wpm - a.wpm
+    if (b.accuracy !== a.accuracy) return b.accuracy - a.accuracy
+    return a.date - b.date
+  }
+
+  // query() filters
+  function _matches(h, { from = 0, to = Date.now(), mode = null, testType = null, minWpm = 0, minAcc = 0, excludeAfk = false } = {}) {
+    if (h.date < from || h.date > to) return false
+    if (excludeAfk && h.afk) return false
+    if (mode && h.mode !== mode) return false
+    if (testType && _testTypeOf(h) !== testType) return false
+    if ((h.wpm || 0) < minWpm) return false
+    if ((h.accuracy || 0) < minAcc) return false
+    return true
+  }
+
+  // records written before word-count tests existed are timed runs
+  function _testTypeOf(r) {
+    return r.testType === 'words' || r.testType === 'zen' ? r.testType : 'time'
+  }
+
+  // keep only well-formed [t, key, wordIndex, kind] entries, capped in length
+  function _normalizeKeylog(log) {
+    if (!Array.isArray(log)) return []
+    return log
+      .filter(e => Array.isArray(e) && e.length >= 4 && typeof e[1] === 'string' && ['c', 'w', 'b'].includes(e[3]))
+      .slice(0, MAX_KEYLOG_EVENTS)
+      .map(e => [Number(e[0]) || 0, e[1], Number(e[2]) || 0, e[3]])
+  }
+
+  // per-second { wpm, raw, errors } arrays, numbers only
+  function _normalizeSamples(s) {
+    const pick = arr => (Array.isArray(arr) ? arr.slice(0, MAX_SAMPLES).map(v => Number(v) || 0) : [])
+    if (Array.isArray(s)) return { wpm: pick(s), raw: [], errors: [] }
+    return { wpm: pick(s && s.wpm), raw: pick(s && s.raw), errors: pick(s && s.errors) }
+  }
+
+  // { key: [correct, incorrect, ms] } with keys of `len` characters
+  function _normalizeKeyStats(ks, len = 1) {
+    const out = {}
+    if (!ks || typeof ks !== 'object') return out
+    Object.keys(ks).forEach(ch => {
+      const v = ks[ch]
+      if (Array.isArray(v) && ch.length === len) out[ch] = [Number(v[0]) || 0, Number(v[1]) || 0, Number(v[2]) || 0]
+    })
+    return out
+  }
+
+  // sum [correct, incorrect, ms] maps over runs into { key: { correct, incorrect, total, errorRate, avgMs } }
+  function _aggregateKeyStats(runs, field) {
+    const agg = {}
+    runs.forEach(h => {
+      const ks = h[field] || {}
+      Object.keys(ks).forEach(ch => {
+        const a = agg[ch] || (agg[ch] = { correct: 0, incorrect: 0, ms: 0 })
+        a.correct += ks[ch][0] || 0
+        a.incorrect += ks[ch][1] || 0
+        a.ms += ks[ch][2] || 0
+      })
+    })
+    Object.keys(agg).forEach(ch => {
+      const a = agg[ch]
+      a.total = a.correct + a.incorrect
+      a.errorRate = a.total ? a.incorrect / a.total : 0
+      a.avgMs = a.correct ? a.ms / a.correct : 0
+      delete a.ms
+    })
+    return agg
+  }
+
+  function _normalizeWords(words) {
+    if (!Array.isArray(words)) return []
+    return words.slice(0, MAX_KEYLOG_EVENTS).map(w => String(w))
   }
 
   // canonicalize a run record
   function _makeRecord(run) {
     // run expected fields: wpm, accuracy, raw, elapsed, mode, date
+    // testType is 'time' (timeLimit seconds), 'words' (wordCount words) or 'zen' (no limit)
+    const testType = _testTypeOf(run)
     const rec = {
       id: run.id || `${Date.now()}-${Math.random().toString(36).slice(2,9)}`,
-      date: run.date || Date.now(),
+      date: Number(run.date) || Date.now(),
       mode: run.mode || 'english',
-      timeLimit: run.timeLimit || (run.elapsed || 0),
+      language: run.language || 'english', // language pack the words came from
+      seed: run.seed != null && Number.isFinite(Number(run.seed)) ? Number(run.seed) >>> 0 : null, // Modes PRNG seed
+      testType,
+      timeLimit: testType === 'time' ? (run.timeLimit || (run.elapsed || 0)) : 0,
+      wordCount: testType === 'words' ? (Number(run.wordCount) || 0) : 0,
+      punctuation: !!run.punctuation, // modifiers active for the run
+      numbers: !!run.numbers,
+      numbersFormat: typeof run.numbersFormat === 'string' ? run.numbersFormat : null, // numbers mode format
+      quoteId: run.quoteId != null ? run.quoteId : null, // quotes mode: which quote was typed
+      quoteSource: run.quoteId != null ? String(run.quoteSource || '') : '',
+      snippetId: run.snippetId != null ? run.snippetId : null, // code mode: which snippet was typed
+      difficulty: ['expert', 'master'].includes(run.difficulty) ? run.difficulty : 'normal',
+      failed: !!run.failed,          // ended early by the difficulty
+      failReason: run.failed ? (run.failReason || null) : null,
+      funbox: Array.isArray(run.funbox) ? run.funbox.filter(id => typeof id === 'string') : [],
+      whitespaceAccuracy: run.whitespaceAccuracy != null ? Number(run.whitespaceAccuracy) || 0 : null,
       wpm: Number(run.wpm) || 0,
       raw: Number(run.raw) || 0,
       accuracy: Number(run.accuracy) || 0,
+      consistency: Number(run.consistency) || 0,
+      afk: !!run.afk,               // run had long idle gaps
+      afkSeconds: Number(run.afkSeconds) || 0,
       elapsed: Number(run.elapsed) || 0,
+      keylog: _normalizeKeylog(run.keylog),
+      targetWords: _normalizeWords(run.targetWords),
+      samples: _normalizeSamples(run.samples),
+      keyStats: _normalizeKeyStats(run.keyStats),
+      bigramStats: _normalizeKeyStats(run.bigramStats, 2),
       extras: run.extras || {} // any additional metadata
     }
     return rec
   }
 
+  // the test configuration a personal best belongs to
+  function _configOf(r) {
+    const testType = _testTypeOf(r)
+    return {
+      mode: r.mode || 'english',
+      language: r.language || 'english',
+      testType,
+      timeLimit: testType === 'time' ? Number(r.timeLimit) || 0 : 0,
+      wordCount: testType === 'words' ? Number(r.wordCount) || 0 : 0,
+      punctuation: !!r.punctuation,
+      numbers: !!r.numbers,
+      numbersFormat: r.mode === 'numbers' ? (r.numbersFormat || 'mixed') : null,
+      difficulty: r.difficulty || 'normal'
+    }
+  }
+
+  function _configKey(c) {
+    if (c.quoteId != null) return ['quote', c.quoteId, c.difficulty || 'normal'].join('|')
+    const length = c.testType === 'time' ? c.timeLimit : c.testType === 'words' ? c.wordCount : ''
+    return [c.mode, c.language, c.testType, length, c.punctuation ? 'p' : '', c.numbers ? 'n' : '', c.numbersFormat || '', c.difficulty].join('|')
+  }
+
+  // runs that can hold a best, same rule as the leaderboard: failed runs and runs with Modes funboxes
+  // are history only
+  function _countsForBests(r) {
+    return !r.failed && !(r.funbox && r.funbox.length)
+  }
+
+  function _beats(r, best) {
+    return !best || r.wpm > best.wpm || (r.wpm === best.wpm && r.accuracy > best.accuracy)
+  }
+
+  function _offerTo(config, r) {
+    const key = _configKey(config)
+    const previous = bests[key] || null
+    if (!_beats(r, previous)) return { isNew: false, previous, margin: r.wpm - previous.wpm }
+    bests[key] = { id: r.id, wpm: r.wpm, accuracy: r.accuracy, raw: r.raw, consistency: r.consistency || 0, date: r.date, config }
+    return { isNew: true, previous, margin: previous ? r.wpm - previous.wpm : null }
+  }
+
+  // offer a run to its configuration's best and, for a quote, to that quote's best; returns the
+  // configuration's { isNew, previous, margin } plus `changed` when either moved (null if it can't count)
+  function _offerBest(r) {
+    if (!_countsForBests(r)) return null
+    const res = _offerTo(_configOf(r), r)
+    let changed = res.isNew
+    if (r.quoteId != null && _offerTo({ quoteId: r.quoteId, difficulty: r.difficulty || 'normal' }, r).isNew) changed = true
+    return Object.assign(res, { changed })
+  }
+
+  // fold stored runs into the bests; saves when any improved
+  function _foldBests(runs) {
+    let changed = false
+    runs.forEach(r => {
+      const res = _offerBest(r)
+      if (res && res.changed) changed = true
+    })
+    if (changed) Store.write(PB_KEY, bests)
+  }
+
+  function _loadBests() {
+    bests = Store.read(PB_KEY, { fallback: {}, validate: map => {
+      if (!map || typeof map !== 'object' || Array.isArray(map)) throw new Error('personal best map expected')
+      const out = {}
+      Object.keys(map).forEach(k => {
+        const b = map[k]
+        if (b && b.config && Number.isFinite(Number(b.wpm))) out[_configKey(b.config)] = b
+      })
+      return out
+    } })
+    _foldBests(history)
+  }
+
+  function _leaderEntry(rec) {
+    return {
+      id: rec.id, wpm: rec.wpm, accuracy: rec.accuracy, date: rec.date, mode: rec.mode, language: rec.language,
+      testType: rec.testType, timeLimit: rec.timeLimit, wordCount: rec.wordCount, quoteId: rec.quoteId,
+      difficulty: rec.difficulty
+    }
+  }
+
   // maintain leaderboard (sorted by wpm desc, tie break by accuracy desc)
   function _insertLeaderboard(rec) {
-    leaderboard.push({ id: rec.id, wpm: rec.wpm, accuracy: rec.accuracy, date: rec.date, mode: rec.mode })
-    leaderboard.sort((a, b) => {
-      if (b.wpm !== a.wpm) return b.wpm - a.wpm
-      if (b.accuracy !== a.accuracy) return b.accuracy - a.accuracy
-      return a.date - b.date
-    })
+    if (!_countsForBests(rec)) return
+    leaderboard.push(_leaderEntry(rec))
+    leaderboard.sort(_byRank)
     // trim
     if (leaderboard.length > DEFAULT_MAX_LEADERS) leaderboard = leaderboard.slice(0, DEFAULT_MAX_LEADERS)
   }
 
-  // prune history to keep localStorage small
+  function _hasDetails(h) {
+    return !!((h.keylog && h.keylog.length) || (h.targetWords && h.targetWords.length) || h.samples || h.bigramStats)
+  }
+
+  // drop a run's keylog, words, samples and bigram stats; summary numbers stay. True if it had any
+  function _stripDetails(h) {
+    if (!_hasDetails(h)) return false
+    h.keylog = []
+    h.targetWords = []
+    delete h.samples
+    delete h.bigramStats
+    return true
+  }
+
+  // prune history to keep storage small; returns the runs to rewrite ({ put, del }) for _persist
   function _pruneHistory(maxItems = DEFAULT_MAX_HISTORY) {
+    const changes = { put: [], del: [] }
     if (history.length > maxItems) {
-      // keep the newest maxItems
-      history = history.slice(Math.max(0, history.length - maxItems))
+      // keep the newest maxItems; IndexedDB keeps the older ones, without their details
+      const cut = history.length - maxItems
+      history.slice(0, cut).forEach(h => {
+        if (backend !== 'indexeddb') changes.del.push(h.id)
+        else if (_stripDetails(h)) changes.put.push(h)
+      })
+      history = history.slice(cut)
     }
+    // older runs drop their details
+    for (let i = 0; i < history.length - MAX_KEYLOG_RUNS; i++) {
+      if (_stripDetails(history[i])) changes.put.push(history[i])
+    }
+    return changes
+  }
+
+  // the leaderboard from scratch, from the runs in history
+  function _rebuildLeaderboard() {
+    leaderboard = history.filter(_countsForBests).map(_leaderEntry).sort(_byRank).slice(0, DEFAULT_MAX_LEADERS)
+  }
+
+  // CSV columns: field -> cell type (how it is written and read back). An import maps header names to
+  // these fields: 'sebtype' files use our names (or CSV_ALIASES), 'monkeytype' reads a Monkeytype
+  // results export (_id, wpm, rawWpm, acc, mode, mode2, timestamp, ...)
+  const CSV_COLUMNS = {
+    id: 'text',
+    date: 'date',
+    mode: 'text',
+    language: 'text',
+    testType: 'text',
+    timeLimit: 'number',
+    wordCount: 'number',
+    wpm: 'number',
+    raw: 'number',
+    accuracy: 'number',
+    consistency: 'number',
+    elapsed: 'number',
+    afk: 'bool',
+    afkSeconds: 'number',
+    punctuation: 'bool',
+    numbers: 'bool',
+    numbersFormat: 'text',
+    difficulty: 'text',
+    failed: 'bool',
+    failReason: 'text',
+    funbox: 'list',
+    quoteId: 'text',
+    snippetId: 'text',
+    seed: 'number'
+  }
+  const DEFAULT_CSV_COLUMNS = ['id', 'date', 'mode', 'language', 'testType', 'timeLimit', 'wordCount', 'wpm', 'raw', 'accuracy', 'consistency', 'punctuation', 'numbers', 'difficulty']
+  // other header names a column is recognised by (compared lowercased, without spaces and underscores)
+  const CSV_ALIASES = {
+    date: ['timestamp', 'time', 'datetime'],
+    accuracy: ['acc'],
+    raw: ['rawwpm'],
+    elapsed: ['duration', 'testduration', 'seconds'],
+    afkSeconds: ['afkduration'],
+    testType: ['type']
+  }
+
+  function _csvCell(value, type) {
+    if (value == null) return ''
+    let s
+    if (type === 'date') s = new Date(value).toISOString()
+    else if (type === 'list') s = (Array.isArray(value) ? value : []).join(' ')
+    else if (type === 'bool') s = value ? 'true' : 'false'
+    else s = String(value)
+    // spreadsheets run text starting with these as a formula; numbers are written as they are
+    if ((type === 'text' || type === 'list') && /^[=+\-@\t\r]/.test(s)) s = `'${s}`
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+  }
+
+  // cell text -> field value; empty or unreadable cells are undefined so _makeRecord's defaults apply
+  function _csvValue(cell, type) {
+    const s = String(cell == null ? '' : cell).trim()
+    if (s === '') return undefined
+    if (type === 'number') return Number.isFinite(Number(s)) ? Number(s) : undefined
+    if (type === 'bool') return /^(true|1|yes|on)$/i.test(s)
+    // undo the formula guard of _csvCell
+    if ((type === 'text' || type === 'list') && /^'[=+\-@]/.test(s)) return _csvValue(s.slice(1), type)
+    if (type === 'list') return s.split(/[\s#;|]+/).filter(v => v && v !== 'none')
+    if (type === 'date') {
+      const t = /^\d+$/.test(s) ? Number(s) : Date.parse(s)
+      return Number.isFinite(t) ? t : undefined
+    }
+    return s
+  }
+
+  // the delimiter of the header line: comma, semicolon or tab, whichever appears most outside quotes
+  function _csvDelimiter(text) {
+    const line = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '')
+    const counts = [',', ';', '\t'].map(d => [d, line.split(d).length])
+    return counts.sort((a, b) => b[1] - a[1])[0][0]
+  }
+
+  // RFC 4180 rows (quoted cells may hold delimiters, quotes and newlines); blank lines are dropped
+  function _parseCsv(text) {
+    const src = String(text || '').replace(/^\uFEFF/, '')
+    const delim = _csvDelimiter(src)
+    const rows = []
+    let row = []
+    let cell = ''
+    let quoted = false
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i]
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++ }
+        else if (ch === '"') quoted = false
+        else cell += ch
+      } else if (ch === '"') {
+        quoted = true
+      } else if (ch === delim) {
+        row.push(cell)
+        cell = ''
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++
+        row.push(cell)
+        rows.push(row)
+        row = []
+        cell = ''
+      } else {
+        cell += ch
+      }
+    }
+    if (cell !== '' || row.length) {
+      row.push(cell)
+      rows.push(row)
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ''))
+  }
+
+  function _csvFormatOf(headers) {
+    return ['_id', 'rawWpm', 'mode2', 'timestamp'].every(h => headers.includes(h)) ? 'monkeytype' : 'sebtype'
+  }
+
+  // field -> header for the headers that name one of our columns
+  function _csvMapping(headers) {
+    const plain = h => String(h).toLowerCase().replace(/[\s_]/g, '')
+    const mapping = {}
+    Object.keys(CSV_COLUMNS).forEach(field => {
+      const names = [plain(field)].concat(CSV_ALIASES[field] || [])
+      const header = names.map(n => headers.find(h => plain(h) === n)).find(h => h != null)
+      if (header != null) mapping[field] = header
+    })
+    return mapping
+  }
+
+  // a row ({ header: cell }) read through mapping ({ field: header }) as run fields
+  function _runFromCsv(row, mapping) {
+    const run = {}
+    Object.keys(mapping).forEach(field => {
+      const type = CSV_COLUMNS[field]
+      if (!type || !(mapping[field] in row)) return
+      const value = _csvValue(row[mapping[field]], type)
+      if (value !== undefined) run[field] = value
+    })
+    // quote and snippet ids are numbers when they look like one
+    ;['quoteId', 'snippetId'].forEach(f => {
+      if (typeof run[f] === 'string' && /^\d+$/.test(run[f])) run[f] = Number(run[f])
+    })
+    // rows without an id get a stable one so importing the same file twice adds nothing
+    if (run.id == null) run.id = `csv-${run.date || 0}-${run.wpm || 0}-${run.accuracy || 0}`
+    return run
+  }
+
+  // a Monkeytype results export row as run fields; their quote ids are another collection, so
+  // quote runs keep it in extras only
+  function _runFromMonkeytype(row) {
+    const num = v => _csvValue(v, 'number')
+    const bool = v => !!_csvValue(v, 'bool')
+    const mode2 = String(row.mode2 || '').trim()
+    const afkSeconds = Math.round(num(row.afkDuration) || 0)
+    const run = {
+      id: row._id ? `mt-${row._id}` : undefined,
+      date: _csvValue(row.timestamp, 'date'),
+      mode: 'english',
+      language: row.language || 'english',
+      testType: 'words',
+      wpm: num(row.wpm),
+      raw: num(row.rawWpm),
+      accuracy: num(row.acc),
+      consistency: num(row.consistency),
+      elapsed: num(row.testDuration),
+      afk: afkSeconds >= 5,
+      afkSeconds,
+      punctuation: bool(row.punctuation),
+      numbers: bool(row.numbers),
+      difficulty: row.difficulty,
+      funbox: _csvValue(row.funbox, 'list') || [],
+      extras: { source: 'monkeytype', mode: row.mode, mode2, charStats: row.charStats || '', tags: row.tags || '' }
+    }
+    if (row.mode === 'time') {
+      run.testType = 'time'
+      run.timeLimit = Number(mode2) || run.elapsed
+    } else if (row.mode === 'words') {
+      run.wordCount = Number(mode2) || 0
+    } else if (row.mode === 'zen') {
+      run.testType = 'zen'
+    } else if (row.mode === 'quote') {
+      run.mode = 'quotes'
+    } else if (row.mode === 'custom') {
+      run.mode = 'custom'
+    }
+    if (run.id == null) run.id = `mt-${run.date || 0}-${run.wpm || 0}`
+    return run
   }
 
   // Public API
   const Data = {
+    // resolves once stored runs are in the caches (set below)
+    ready: Promise.resolve(),
+
+    // 'indexeddb' | 'localstorage'
+    getBackend() { return backend },
+
+    // add a run version; step(run) returns the run at that version, or null to set it aside. Steps run
+    // on the stored runs when the database opens, so register them while scripts load. New runs are
+    // written in the current shape (_makeRecord), which must already match the latest step
+    registerRunMigration(version, name, step) {
+      const v = Math.floor(Number(version))
+      if (!(v > 0)) throw new Error('run migration version must be a positive integer')
+      if (runMigrations[v]) throw new Error(`run migration ${v} already registered`)
+      if (typeof step !== 'function') throw new Error(`run migration ${v} needs a step function`)
+      runMigrations[v] = { version: v, name: String(name || v), step }
+    },
+
+    // the runs as they were before the last run migration ({ fromVersion, toVersion, createdAt, runs }),
+    // null if there is none (or no database); kept until discarded or a later run migration replaces it
+    getRunsBackup() {
+      return writes.then(() => {
+        if (!db) return null
+        const tx = db.transaction([META_STORE, BACKUP_STORE], 'readonly')
+        return Promise.all([_req(tx.objectStore(META_STORE).get('backup')), _req(tx.objectStore(BACKUP_STORE).getAll())])
+      }).then(res => {
+        if (!res || !res[0]) return null
+        const { fromVersion, toVersion, createdAt } = res[0]
+        return { fromVersion, toVersion, createdAt, runs: res[1] }
+      })
+    },
+
+    // put the backed up runs back at their old version; the next load migrates them again
+    restoreRunsBackup() {
+      return this.getRunsBackup().then(backup => {
+        if (!backup) return false
+        const tx = db.transaction([RUNS_STORE, META_STORE], 'readwrite')
+        const runs = tx.objectStore(RUNS_STORE)
+        runs.clear()
+        backup.runs.forEach(r => runs.put(r))
+        tx.objectStore(META_STORE).put({ key: 'runs', version: backup.fromVersion })
+        return _done(tx).then(() => true)
+      }).catch(e => {
+        console.warn('[Data] failed to restore the runs backup', e)
+        return false
+      })
+    },
+
+    // drop the runs backup once the migrated runs are known to be fine
+    discardRunsBackup() {
+      return writes.then(() => {
+        if (!db) return
+        const tx = db.transaction([META_STORE, BACKUP_STORE], 'readwrite')
+        tx.objectStore(BACKUP_STORE).clear()
+        tx.objectStore(META_STORE).delete('backup')
+        return _done(tx)
+      }).catch(e => console.warn('[Data] failed to discard the runs backup', e))
+    },
+
+    // the caches are loaded once, below; init() only reloads the personal bests
     init() {
-      _load()
+      _loadBests()
       console.log('%c[Data] initialized. entries:', 'color:#37e67d', history.length, 'leaders:', leaderboard.length)
       return { historyLength: history.length, leaders: leaderboard.length }
     },
@@ -101,8 +846,11 @@
         const rec = _makeRecord(run)
         history.push(rec)
         _insertLeaderboard(rec)
-        _pruneHistory()
-        _save()
+        const best = _offerBest(rec)
+        lastBest = best ? { runId: rec.id, isNew: best.isNew, previous: best.previous, margin: best.margin } : null
+        if (best && best.changed) Store.write(PB_KEY, bests)
+        const pruned = _pruneHistory()
+        _persist({ put: [rec].concat(pruned.put), del: pruned.del })
         // allow UI hooks
         if (global.UI && typeof global.UI.onNewRun === 'function') {
           try { global.UI.onNewRun(rec) } catch (e) {}
@@ -130,19 +878,96 @@
       return { page: p, pages, pageSize, total, data: slice }
     },
 
-    // get top leaders
-    getTop({ limit = 10, mode = null } = {}) {
+    // getHistory over the whole store; takes the query() filters too
+    getHistoryAsync(opts = {}) {
+      const pageSize = Math.max(1, Math.floor(opts.pageSize) || 50)
+      const page = Math.max(1, Math.floor(opts.page) || 1)
+      return this.queryAsync(Object.assign({}, opts, { offset: (page - 1) * pageSize, limit: pageSize })).then(res => {
+        const pages = Math.max(1, Math.ceil(res.total / pageSize))
+        // past the end: clamp like getHistory
+        if (page > pages) return this.getHistoryAsync(Object.assign({}, opts, { page: pages, pageSize }))
+        return { page, pages, pageSize, total: res.total, data: res.data }
+      })
+    },
+
+    // query() filters with paging, newest first: { total, offset, limit, data }. Walks the date or
+    // [mode, date] index in IndexedDB, the in-memory history otherwise.
+    queryAsync(opts = {}) {
+      const offset = Math.max(0, Math.floor(opts.offset) || 0)
+      const limit = Math.max(0, Math.floor(opts.limit != null ? opts.limit : 50) || 0)
+      const from = Number(opts.from) || 0
+      const to = opts.to != null ? Number(opts.to) : Date.now()
+      const filters = Object.assign({}, opts, { from, to })
+      if (backend !== 'indexeddb') {
+        const all = history.filter(h => _matches(h, filters)).reverse()
+        return Promise.resolve({ total: all.length, offset, limit, data: all.slice(offset, offset + limit) })
+      }
+      return writes.then(() => {
+        if (!db) return this.queryAsync(opts)
+        if (from > to) return { total: 0, offset, limit, data: [] }
+        const store = db.transaction(RUNS_STORE, 'readonly').objectStore(RUNS_STORE)
+        const req = opts.mode
+          ? store.index('mode_date').openCursor(IDBKeyRange.bound([opts.mode, from], [opts.mode, to]), 'prev')
+          : store.index('date').openCursor(IDBKeyRange.bound(from, to), 'prev')
+        return new Promise((resolve, reject) => {
+          const data = []
+          let total = 0
+          req.onsuccess = () => {
+            const cursor = req.result
+            if (!cursor) return resolve({ total, offset, limit, data })
+            if (_matches(cursor.value, filters)) {
+              if (total >= offset && data.length < limit) data.push(cursor.value)
+              total++
+            }
+            cursor.continue()
+          }
+          req.onerror = () => reject(req.error)
+        })
+      })
+    },
+
+    // get top leaders; testType/timeLimit/wordCount keep timed and word-count runs apart. Only normal
+    // difficulty runs are ranked unless a difficulty is given
+    getTop({ limit = 10, mode = null, testType = null, timeLimit = null, wordCount = null, quoteId = null, difficulty = 'normal' } = {}) {
       let list = leaderboard.slice()
+      if (difficulty) list = list.filter(l => (l.difficulty || 'normal') === difficulty)
+      if (quoteId != null) list = list.filter(l => l.quoteId === quoteId)
       if (mode) list = list.filter(l => l.mode === mode)
+      if (testType) list = list.filter(l => _testTypeOf(l) === testType)
+      if (timeLimit != null) list = list.filter(l => l.timeLimit === timeLimit)
+      if (wordCount != null) list = list.filter(l => l.wordCount === wordCount)
       return list.slice(0, limit)
     },
 
+    // best for one test configuration (see _configOf; unset fields take their defaults), or with a
+    // quoteId for that quote, null if none yet; like getTop, normal difficulty unless one is given
+    getPersonalBest(config = {}) {
+      if (config.quoteId != null) return bests[_configKey({ quoteId: config.quoteId, difficulty: config.difficulty })] || null
+      return bests[_configKey(_configOf(config))] || null
+    },
+
+    // every configuration's (and quote's) best, fastest first
+    getPersonalBests() {
+      return Object.keys(bests).map(k => bests[k]).sort(_byRank)
+    },
+
+    // PB check of the last recordRun: { runId, isNew, previous, margin }, null if it could not count
+    lastPersonalBest() { return lastBest },
+
     // remove an entry by id (from history and leaderboard)
     removeById(id) {
       const beforeH = history.length
       history = history.filter(r => r.id !== id)
       leaderboard = leaderboard.filter(r => r.id !== id)
-      _save()
+      _forgetStored(id)
+      // a removed best falls back to the next best stored run of its configuration (or quote)
+      const keys = Object.keys(bests).filter(k => bests[k].id === id)
+      if (keys.length) {
+        keys.forEach(k => { delete bests[k] })
+        _foldBests(history)
+        Store.write(PB_KEY, bests)
+      }
+      _persist({ del: [id] })
       return { removed: beforeH - history.length }
     },
 
@@ -150,7 +975,11 @@
     clearHistory() {
       history = []
       leaderboard = []
-      _save()
+      bests = {}
+      lastBest = null
+      _forgetStored()
+      Store.write(PB_KEY, bests)
+      _persist({ clear: true })
     },
 
     // export JSON (string)
@@ -164,15 +993,86 @@
       }
     },
 
+    // CSV columns: { all, defaults }
+    csvColumns() {
+      return { all: Object.keys(CSV_COLUMNS), defaults: DEFAULT_CSV_COLUMNS.slice() }
+    },
+
+    // history as CSV, oldest first; columns from csvColumns().all, filters as query()
+    exportCsv({ columns = DEFAULT_CSV_COLUMNS, ...filters } = {}) {
+      const cols = columns.filter(c => CSV_COLUMNS[c])
+      const lines = [cols.join(',')]
+      history.filter(h => _matches(h, filters)).forEach(h => {
+        lines.push(cols.map(c => _csvCell(h[c], CSV_COLUMNS[c])).join(','))
+      })
+      return lines.join('\r\n') + '\r\n'
+    },
+
+    // header of a CSV file with the format and mapping an import would use: { headers, rows, format, mapping }
+    inspectCsv(text = '') {
+      const table = _parseCsv(text)
+      const headers = (table[0] || []).map(h => h.trim())
+      return { headers, rows: Math.max(0, table.length - 1), format: _csvFormatOf(headers), mapping: _csvMapping(headers) }
+    },
+
+    // import CSV runs. format: 'auto' | 'sebtype' | 'monkeytype'; mapping ({ field: header }) replaces the
+    // guessed one for 'sebtype'. Runs already in history (same id) and rows without a wpm are skipped.
+    // merge === false replaces history. Returns { imported, skipped, format }, null if the text is unreadable.
+    importCsv(text = '', { format = 'auto', mapping = null, merge = true } = {}) {
+      try {
+        const table = _parseCsv(text)
+        if (!table.length) return null
+        const headers = table[0].map(h => h.trim())
+        const fmt = format === 'auto' ? _csvFormatOf(headers) : format
+        const map = mapping || _csvMapping(headers)
+        if (!merge) {
+          history = []
+          bests = {}
+          _forgetStored()
+        }
+        const ids = new Set(history.map(h => h.id))
+        let imported = 0
+        let skipped = 0
+        table.slice(1).forEach(cells => {
+          const row = {}
+          headers.forEach((h, i) => { row[h] = cells[i] != null ? cells[i] : '' })
+          const run = fmt === 'monkeytype' ? _runFromMonkeytype(row) : _runFromCsv(row, map)
+          if (!Number.isFinite(run.wpm) || ids.has(run.id)) {
+            skipped++
+            return
+          }
+          ids.add(run.id)
+          history.push(_makeRecord(run))
+          imported++
+        })
+        history.sort((a, b) => a.date - b.date)
+        // runs pruned from the caches still count and, with IndexedDB, are still stored
+        const all = history.slice()
+        _pruneHistory()
+        _rebuildLeaderboard()
+        _foldBests(all)
+        Store.write(PB_KEY, bests)
+        _persist({ clear: !merge, put: all })
+        return { imported, skipped, format: fmt }
+      } catch (e) {
+        console.warn('[Data] CSV import failed', e)
+        return null
+      }
+    },
+
     // import JSON (string). If merge === true, merges with existing, otherwise replaces.
     import(jsonString = '{}', { merge = false } = {}) {
       try {
         const parsed = JSON.parse(jsonString)
-        const incomingHistory = Array.isArray(parsed.history) ? parsed.history : []
-        const incomingLeaders = Array.isArray(parsed.leaderboard) ? parsed.leaderboard : []
+        if (!parsed || typeof parsed !== 'object') throw new Error('export object expected')
+        // everything is checked and revived before the caches change; entries that are not runs
+        // are quarantined like stored ones
+        const incomingHistory = _validRuns(Array.isArray(parsed.history) ? parsed.history : [], 'import')
+        const incomingLeaders = _validLeaders(Array.isArray(parsed.leaderboard) ? parsed.leaderboard : [], 'import')
         if (!merge) {
-          history = incomingHistory.slice()
-          leaderboard = incomingLeaders.slice()
+          history = incomingHistory
+          leaderboard = incomingLeaders.sort(_byRank).slice(0, DEFAULT_MAX_LEADERS)
+          _forgetStored()
         } else {
           // merge history while avoiding duplicates (by id)
           const existingIds = new Set(history.map(h => h.id))
@@ -181,14 +1081,14 @@
           const leaderIds = new Set(leaderboard.map(l => l.id))
           incomingLeaders.forEach(l => { if (!leaderIds.has(l.id)) leaderboard.push(l) })
           // sort leaderboard again
-          leaderboard.sort((a, b) => {
-            if (b.wpm !== a.wpm) return b.wpm - a.wpm
-            if (b.accuracy !== a.accuracy) return b.accuracy - a.accuracy
-            return a.date - b.date
-          })
+          leaderboard = leaderboard.sort(_byRank).slice(0, DEFAULT_MAX_LEADERS)
         }
+        const all = history.slice()
         _pruneHistory()
-        _save()
+        if (!merge) bests = {}
+        _foldBests(all)
+        Store.write(PB_KEY, bests)
+        _persist({ clear: !merge, put: all })
         return true
       } catch (e) {
         console.warn('[Data] import failed', e)
@@ -196,12 +1096,13 @@
       }
     },
 
-    // analytics helpers
-    statsOverview() {
-      const total = history.length
+    // analytics helpers; AFK runs are left out of the averages unless includeAfk
+    statsOverview({ includeAfk = false } = {}) {
+      const runs = includeAfk ? history : history.filter(h => !h.afk)
+      const total = runs.length
       if (total === 0) return { total: 0, avgWpm: 0, bestWpm: 0, avgAcc: 0 }
       let sumW = 0, sumA = 0, best = 0
-      history.forEach(h => {
+      runs.forEach(h => {
         sumW += (h.wpm || 0)
         sumA += (h.accuracy || 0)
         if ((h.wpm || 0) > best) best = h.wpm
@@ -214,31 +1115,49 @@
       }
     },
 
-    // query runs by filters: by date range, by mode, minWpm, minAccuracy
-    query({ from = 0, to = Date.now(), mode = null, minWpm = 0, minAcc = 0 } = {}) {
-      return history.filter(h => {
-        if (h.date < from || h.date > to) return false
-        if (mode && h.mode !== mode) return false
-        if ((h.wpm || 0) < minWpm) return false
-        if ((h.accuracy || 0) < minAcc) return false
-        return true
-      })
+    // per-character totals across history (or the newest `recent` runs):
+    // { char: { correct, incorrect, total, errorRate, avgMs } }
+    getKeyStats({ excludeAfk = false, recent = 0 } = {}) {
+      let runs = excludeAfk ? history.filter(h => !h.afk) : history
+      if (recent) runs = runs.slice(-recent)
+      return _aggregateKeyStats(runs, 'keyStats')
+    },
+
+    // same as getKeyStats, keyed by expected character pairs
+    getBigramStats({ excludeAfk = false, recent = 0 } = {}) {
+      let runs = excludeAfk ? history.filter(h => !h.afk) : history
+      if (recent) runs = runs.slice(-recent)
+      return _aggregateKeyStats(runs, 'bigramStats')
+    },
+
+    // query runs by filters: by date range, by mode, test type, minWpm, minAccuracy, excludeAfk
+    query(filters = {}) {
+      return history.filter(h => _matches(h, filters))
     },
 
     // debug: wipe storage (dangerous)
     _debugWipeAll() {
       try {
-        localStorage.removeItem(STORAGE_KEY)
-        localStorage.removeItem(LEADERBOARD_KEY)
+        Store.remove(STORAGE_KEY)
+        Store.remove(LEADERBOARD_KEY)
+        Store.remove(PB_KEY)
         history = []
         leaderboard = []
-        console.warn('[Data] wiped local storage keys')
+        bests = {}
+        if (backend === 'indexeddb') _persist({ clear: true })
+        console.warn('[Data] wiped stored runs')
       } catch (e) { console.warn(e) }
     }
   }
 
-  // initialize immediately
+  // 1: stored runs in the current record shape, so queryAsync (which reads them as stored) sees the
+  // same fields as the caches; records without an id, wpm or date are set aside
+  Data.registerRunMigration(1, 'current record shape', r =>
+    (r.id != null && _finite(r.wpm) && _finite(r.date) ? Object.assign(_reviveRecord(r), { id: r.id, date: Number(r.date) }) : null))
+
+  // initialize immediately: localStorage now (v1 data not yet migrated included), the database after
   _load()
+  if (global.indexedDB) Data.ready = _start()
   global.Data = Data
   // run init log
   Data.init()
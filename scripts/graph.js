@@ -1,11 +1,17 @@
 // SebType Graph Renderer
-// Creates and animates a smooth WPM-over-time graph using Canvas
-// Called by UI.showResults() to visualize test performance
+// Creates and animates the results graph using Canvas
+// Called with the run's per-second samples to visualize test performance:
+// - Graph.render({ wpm: [], raw: [], errors: [] }, { smooth })  net + raw lines, error markers
+// - Graph.render([n, n, ...])                                  legacy single wpm line
+// Errors use a secondary axis on the right; `smooth` applies a small moving average to the lines.
 
 const Graph = (() => {
     const canvas = document.getElementById("graph");
     const ctx = canvas?.getContext("2d");
-    let wpmData = [];
+    const PAD = { top: 24, right: 28, bottom: 8, left: 8 };
+    const COLORS = { wpm: "#37e67d", raw: "#6ba47b", errors: "#e15858" };
+    let series = { wpm: [], raw: [], errors: [] };
+    let smooth = false;
     let animFrame = null;
     let width = 0, height = 0;
 
@@ -17,16 +23,19 @@ const Graph = (() => {
     };
 
     const resizeCanvas = () => {
+        if (!canvas || !ctx) return;
         width = canvas.clientWidth;
         height = canvas.clientHeight;
         canvas.width = width * window.devicePixelRatio;
         canvas.height = height * window.devicePixelRatio;
-        ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        // setTransform rather than scale so repeated resizes don't compound
+        ctx.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
         drawGrid();
     };
 
     const drawGrid = () => {
-        if (!ctx) return;
+        // a hidden canvas has no size; stepping by 0 would never end
+        if (!ctx || !width || !height) return;
         ctx.clearRect(0, 0, width, height);
         ctx.strokeStyle = "rgba(55,230,125,0.1)";
         ctx.lineWidth = 1;
@@ -48,11 +57,29 @@ const Graph = (() => {
         }
     };
 
-    const render = data => {
-        if (!ctx || !data.length) return;
-        wpmData = data;
+    // accept the legacy flat array as a wpm-only series
+    const normalize = data => {
+        if (Array.isArray(data)) return { wpm: data.slice(), raw: [], errors: [] };
+        return {
+            wpm: Array.isArray(data?.wpm) ? data.wpm.slice() : [],
+            raw: Array.isArray(data?.raw) ? data.raw.slice() : [],
+            errors: Array.isArray(data?.errors) ? data.errors.slice() : []
+        };
+    };
+
+    // centred 3-point moving average
+    const smoothen = arr => arr.map((v, i) => {
+        const win = arr.slice(Math.max(0, i - 1), i + 2);
+        return win.reduce((a, b) => a + b, 0) / win.length;
+    });
+
+    const render = (data, opts = {}) => {
+        series = normalize(data);
+        smooth = !!opts.smooth;
+        if (!ctx || !series.wpm.length) return;
+        // the canvas may have been hidden at init; measure it now
+        resizeCanvas();
         cancelAnimationFrame(animFrame);
-        drawGrid();
 
         // Animate draw
         let progress = 0;
@@ -65,43 +92,111 @@ const Graph = (() => {
         animate();
     };
 
-    const draw = progress => {
-        drawGrid();
-        const maxWPM = Math.max(...wpmData) || 100;
-        const stepX = width / (wpmData.length - 1);
-        const points = wpmData.map((val, i) => ({
-            x: i * stepX,
-            y: height - (val / maxWPM) * height
+    const toPoints = (arr, max, count) => {
+        const plotW = width - PAD.left - PAD.right;
+        const plotH = height - PAD.top - PAD.bottom;
+        const stepX = count > 1 ? plotW / (count - 1) : 0;
+        return arr.map((val, i) => ({
+            x: PAD.left + i * stepX,
+            y: PAD.top + plotH - (val / max) * plotH
         }));
+    };
 
+    const drawLine = (points, visibleCount, color, fill) => {
+        if (!points.length || visibleCount < 1) return;
         ctx.beginPath();
         ctx.moveTo(points[0].x, points[0].y);
-        const visibleCount = Math.floor(points.length * progress);
         for (let i = 1; i < visibleCount; i++) {
             ctx.lineTo(points[i].x, points[i].y);
         }
-        ctx.strokeStyle = "#37e67d";
+        ctx.strokeStyle = color;
         ctx.lineWidth = 2;
         ctx.stroke();
 
-        // Fill area under graph
-        const grad = ctx.createLinearGradient(0, 0, 0, height);
-        grad.addColorStop(0, "rgba(55,230,125,0.2)");
-        grad.addColorStop(1, "rgba(55,230,125,0)");
-        ctx.lineTo(points[visibleCount - 1].x, height);
-        ctx.lineTo(points[0].x, height);
-        ctx.closePath();
-        ctx.fillStyle = grad;
-        ctx.fill();
+        if (fill) {
+            // Fill area under graph
+            const grad = ctx.createLinearGradient(0, 0, 0, height);
+            grad.addColorStop(0, "rgba(55,230,125,0.2)");
+            grad.addColorStop(1, "rgba(55,230,125,0)");
+            ctx.lineTo(points[visibleCount - 1].x, height - PAD.bottom);
+            ctx.lineTo(points[0].x, height - PAD.bottom);
+            ctx.closePath();
+            ctx.fillStyle = grad;
+            ctx.fill();
+        }
+    };
 
-        // Draw dots
-        ctx.fillStyle = "#37e67d";
-        for (let i = 0; i < visibleCount; i++) {
+    const drawErrors = (points, visibleCount) => {
+        ctx.strokeStyle = COLORS.errors;
+        ctx.lineWidth = 2;
+        for (let i = 0; i < visibleCount && i < points.length; i++) {
+            if (!series.errors[i]) continue;
             const p = points[i];
             ctx.beginPath();
+            ctx.moveTo(p.x - 3, p.y - 3);
+            ctx.lineTo(p.x + 3, p.y + 3);
+            ctx.moveTo(p.x + 3, p.y - 3);
+            ctx.lineTo(p.x - 3, p.y + 3);
+            ctx.stroke();
+        }
+    };
+
+    const drawAxes = (maxWPM, maxErr) => {
+        ctx.font = "10px Roboto Mono, monospace";
+        ctx.fillStyle = "#6ba47b";
+        ctx.textAlign = "left";
+        ctx.fillText(String(Math.round(maxWPM)), PAD.left + 2, PAD.top - 4);
+        if (maxErr) {
+            ctx.fillStyle = COLORS.errors;
+            ctx.textAlign = "right";
+            ctx.fillText(String(maxErr), width - 2, PAD.top - 4);
+            ctx.fillText("0", width - 2, height - PAD.bottom);
+        }
+    };
+
+    const drawLegend = () => {
+        const items = [["wpm", COLORS.wpm]];
+        if (series.raw.length) items.push(["raw", COLORS.raw]);
+        if (series.errors.some(Boolean)) items.push(["errors", COLORS.errors]);
+        ctx.font = "11px Roboto Mono, monospace";
+        ctx.textAlign = "left";
+        let x = PAD.left + 40;
+        items.forEach(([label, color]) => {
+            ctx.fillStyle = color;
+            ctx.fillRect(x, 8, 10, 3);
+            ctx.fillStyle = "#f0fff4";
+            ctx.fillText(label, x + 14, 13);
+            x += 14 + ctx.measureText(label).width + 16;
+        });
+    };
+
+    const draw = progress => {
+        drawGrid();
+        const wpm = smooth ? smoothen(series.wpm) : series.wpm;
+        const raw = smooth ? smoothen(series.raw) : series.raw;
+        const count = Math.max(wpm.length, raw.length);
+        const maxWPM = Math.max(...wpm, ...raw) || 100;
+        const maxErr = Math.max(0, ...series.errors);
+        const visibleCount = Math.max(1, Math.floor(count * progress));
+
+        drawLine(toPoints(raw, maxWPM, count), Math.min(visibleCount, raw.length), COLORS.raw, false);
+        const wpmPoints = toPoints(wpm, maxWPM, count);
+        drawLine(wpmPoints, Math.min(visibleCount, wpm.length), COLORS.wpm, true);
+
+        // Draw dots
+        ctx.fillStyle = COLORS.wpm;
+        for (let i = 0; i < visibleCount && i < wpmPoints.length; i++) {
+            const p = wpmPoints[i];
+            ctx.beginPath();
             ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
             ctx.fill();
         }
+
+        // errors on the secondary (right) axis
+        if (maxErr) drawErrors(toPoints(series.errors, maxErr, count), visibleCount);
+
+        drawAxes(maxWPM, maxErr);
+        drawLegend();
     };
 
     const clear = () => {
@@ -113,5 +208,7 @@ const Graph = (() => {
     return { init, render, clear };
 })();
 
-document.addEventListener("DOMContentLoaded", Graph.init);
+// main.js checks window.Graph before drawing
+window.Graph = Graph;
 
+document.addEventListener("DOMContentLoaded", Graph.init);
@@ -26,12 +26,25 @@
     modeDisplay: $('#mode-display'),
     accuracyDisplay: $('#accuracy-display'),
     resultsSection: $('#results'),
+    resultsTitle: $('#results-title'),
+    resultsFailed: $('#stat-failed'),
+    resultsPb: $('#stat-pb'),
     resultsWpm: $('#stat-wpm'),
     resultsRaw: $('#stat-raw'),
     resultsAcc: $('#stat-acc'),
     resultsTime: $('#stat-time'),
+    resultsTest: $('#stat-test'),
+    resultsConsistency: $('#stat-consistency'),
+    resultsAfk: $('#stat-afk'),
+    resultsQuote: $('#stat-quote'),
     graphCanvas: $('#graph'),
     restartBtn: $('#restart-btn') || $('#restart-btn'),
+    replayBtn: $('#replay-btn'),
+    retryBtn: $('#retry-btn'),
+    resultsSeed: $('#stat-seed'),
+    resultsWhitespace: $('#stat-whitespace'),
+    resultsWhitespaceRow: $('#stat-whitespace-row'),
+    replaySpeed: $('#replay-speed'),
     footer: document.querySelector('footer')
   }
 
@@ -44,6 +57,7 @@
     Graph: typeof window.Graph !== 'undefined',
     Data: typeof window.Data !== 'undefined',
     Sounds: typeof window.Sounds !== 'undefined',
+    Replay: typeof window.Replay !== 'undefined',
     UI: typeof window.UI !== 'undefined'
   }
 
@@ -104,9 +118,20 @@
             <div><strong>Raw:</strong> <span id="stat-raw">0</span></div>
             <div><strong>Accuracy:</strong> <span id="stat-acc">0%</span></div>
             <div><strong>Time:</strong> <span id="stat-time">--</span></div>
+            <div><strong>Test:</strong> <span id="stat-test">--</span></div>
+            <div><strong>Consistency:</strong> <span id="stat-consistency">--</span></div>
+            <div id="stat-afk" class="hidden"></div>
           </div>
           <canvas id="graph"></canvas>
-          <button id="restart-btn">Restart</button>
+          <div class="result-actions">
+            <button id="restart-btn">Restart</button>
+            <button id="replay-btn">Replay</button>
+            <select id="replay-speed">
+              <option value="0.5">0.5x</option>
+              <option value="1" selected>1x</option>
+              <option value="2">2x</option>
+            </select>
+          </div>
         </div>`;
       document.body.appendChild(sec);
       el.resultsSection = sec;
@@ -114,8 +139,13 @@
       el.resultsRaw = $('#stat-raw');
       el.resultsAcc = $('#stat-acc');
       el.resultsTime = $('#stat-time');
+      el.resultsTest = $('#stat-test');
+      el.resultsConsistency = $('#stat-consistency');
+      el.resultsAfk = $('#stat-afk');
       el.graphCanvas = $('#graph');
       el.restartBtn = $('#restart-btn');
+      el.replayBtn = $('#replay-btn');
+      el.replaySpeed = $('#replay-speed');
     }
   }
 
@@ -144,7 +174,10 @@
   // Render helpers
   function updateHud(stats = {}) {
     if (el.timerDisplay) {
-      const t = stats.timeLeft != null ? `${stats.timeLeft}s` : (has.Timer ? `${Timer.getProgress ? Math.round(Timer.getProgress()*100) : ''}` : '60s');
+      let t;
+      if (stats.wordsTotal != null) t = `${stats.wordsDone || 0}/${stats.wordsTotal}`;
+      else if (stats.timeLeft == null && stats.elapsed != null) t = `${stats.elapsed}s`;
+      else t = stats.timeLeft != null ? `${stats.timeLeft}s` : (has.Timer ? `${Timer.getProgress ? Math.round(Timer.getProgress()*100) : ''}` : '60s');
       el.timerDisplay.textContent = t;
     }
     if (el.modeDisplay) {
@@ -155,15 +188,88 @@
     }
   }
 
+  // short label for the test configuration, e.g. "60s", "25 words", "zen"
+  function describeTest(stats = {}) {
+    if (stats.quoteId != null) return `quote #${stats.quoteId}`;
+    if (stats.snippetId != null) return `code #${stats.snippetId} (${stats.language})`;
+    if (stats.testType === 'zen') return 'zen';
+    if (stats.testType === 'words') return `${stats.wordCount} words`;
+    return stats.timeLimit ? `${stats.timeLimit}s` : '--';
+  }
+
+  // test description plus the numbers format, a non-normal difficulty and any funboxes
+  function describeRun(stats = {}) {
+    let d = describeTest(stats);
+    if (stats.numbersFormat && stats.numbersFormat !== 'mixed') d += ` · ${stats.numbersFormat}`;
+    if (stats.difficulty && stats.difficulty !== 'normal') d += ` · ${stats.difficulty}`;
+    if (stats.funbox && stats.funbox.length) d += ` · ${stats.funbox.join(', ').replace(/_/g, ' ')}`;
+    return d;
+  }
+
+  // attribution and per-quote best for quotes-mode runs
+  function renderQuoteInfo(stats = {}) {
+    if (!el.resultsQuote) return;
+    const isQuote = stats.quoteId != null;
+    el.resultsQuote.classList.toggle('hidden', !isQuote);
+    if (!isQuote) return;
+    let text = `— ${stats.quoteSource || 'unknown'}`;
+    const best = has.Data && Data.getPersonalBest ? Data.getPersonalBest({ quoteId: stats.quoteId }) : null;
+    if (best) text += ` · quote best: ${best.wpm} wpm`;
+    el.resultsQuote.textContent = text;
+  }
+
+  // personal best line for the configuration just played; pb is Data.lastPersonalBest()
+  function renderPersonalBest(pb) {
+    if (!el.resultsPb) return;
+    el.resultsPb.classList.toggle('hidden', !pb);
+    el.resultsPb.classList.toggle('new-pb', !!(pb && pb.isNew));
+    if (!pb) return;
+    if (pb.isNew) {
+      el.resultsPb.textContent = pb.previous
+        ? `New personal best! +${pb.margin} wpm (previous best ${pb.previous.wpm} wpm, ${pb.previous.accuracy}%)`
+        : 'New personal best! First run in this configuration';
+    } else {
+      const behind = -pb.margin;
+      el.resultsPb.textContent = `Personal best: ${pb.previous.wpm} wpm (${pb.previous.accuracy}%)${behind > 0 ? `, ${behind} wpm away` : ''}`;
+    }
+  }
+
+  const FAIL_REASONS = {
+    word: 'a word was submitted with an error',
+    key: 'a wrong key was pressed'
+  };
+
   function renderResults(stats = {}) {
+    // expert/master runs can end early; the same panel shows it as a failure
+    const failed = !!stats.failed;
+    if (el.resultsSection) el.resultsSection.classList.toggle('failed', failed);
+    if (el.resultsTitle) el.resultsTitle.textContent = failed ? 'Failed' : 'Results';
+    // filled in once the run is recorded
+    renderPersonalBest(null);
+    if (el.resultsFailed) {
+      el.resultsFailed.textContent = failed ? `${stats.difficulty} difficulty: ${FAIL_REASONS[stats.failReason] || 'test failed'}` : '';
+      el.resultsFailed.classList.toggle('hidden', !failed);
+    }
     if (el.resultsWpm) el.resultsWpm.textContent = stats.wpm != null ? stats.wpm : '0';
     if (el.resultsRaw) el.resultsRaw.textContent = stats.raw != null ? stats.raw : '0';
     if (el.resultsAcc) el.resultsAcc.textContent = stats.accuracy != null ? `${stats.accuracy}%` : '0%';
     if (el.resultsTime) el.resultsTime.textContent = stats.elapsed != null ? `${stats.elapsed}s` : '--';
-    // draw graph if Graph available
-    if (has.Graph && window.Graph && Array.isArray(stats.history)) {
+    if (el.resultsTest) el.resultsTest.textContent = describeRun(stats);
+    if (el.resultsConsistency) el.resultsConsistency.textContent = stats.consistency != null ? `${stats.consistency}%` : '--';
+    if (el.resultsAfk) {
+      el.resultsAfk.textContent = stats.afk ? `AFK detected (${stats.afkSeconds || 0}s idle)` : '';
+      el.resultsAfk.classList.toggle('hidden', !stats.afk);
+    }
+    if (el.resultsSeed) el.resultsSeed.textContent = stats.seed != null ? String(stats.seed) : '--';
+    // code runs: accuracy of newlines, indentation and spaces on their own
+    if (el.resultsWhitespaceRow) el.resultsWhitespaceRow.classList.toggle('hidden', stats.whitespaceAccuracy == null);
+    if (el.resultsWhitespace) el.resultsWhitespace.textContent = stats.whitespaceAccuracy != null ? `${stats.whitespaceAccuracy}%` : '--';
+    renderQuoteInfo(stats);
+    // draw graph if Graph available; history is { wpm, raw, errors } per second (or a legacy wpm array)
+    if (has.Graph && window.Graph && stats.history) {
       try {
-        Graph.render(stats.history);
+        const smooth = has.Settings ? !!Settings.get('graphSmoothing', false) : false;
+        Graph.render(stats.history, { smooth });
       } catch (e) {
         console.warn('[main] Graph.render failed', e);
       }
@@ -176,7 +282,7 @@
           const w = c.width = c.clientWidth || 400;
           const h = c.height = c.clientHeight || 120;
           ctx.clearRect(0,0,w,h);
-          const arr = stats.history || [];
+          const arr = Array.isArray(stats.history) ? stats.history : ((stats.history && stats.history.wpm) || []);
           const max = Math.max(10, ...(arr.length ? arr : [10]));
           const step = Math.max(1, Math.floor(w / Math.max(1, arr.length)));
           ctx.fillStyle = '#37e67d33';
@@ -235,16 +341,400 @@
       b.style.background = 'transparent';
       b.style.color = 'var(--text)';
       b.onclick = () => {
-        if (has.Modes) {
-          try { Modes.setMode(m.id); } catch (e) {}
-        }
-        if (el.modeDisplay) el.modeDisplay.textContent = m.id;
-        focusInputSilently();
+        selectMode(m.id, m.custom ? 'custom' : m.id);
         // close panel
         pnl.remove();
       };
       pnl.appendChild(b);
     });
+
+    // options declared by the current mode (Modes.registerMode)
+    const current = has.Modes ? Modes.getMode() : 'english';
+    const specs = has.Modes && Modes.getModeOptionSpecs ? Modes.getModeOptionSpecs(current) : {};
+    if (Object.keys(specs).length) {
+      const values = Modes.getModeOptions(current);
+      const oTitle = document.createElement('div');
+      oTitle.textContent = `${(modes.find(m => m.id === current) || { name: current }).name} options`;
+      oTitle.style.margin = '10px 0 2px';
+      oTitle.style.opacity = 0.8;
+      pnl.appendChild(oTitle);
+      Object.keys(specs).forEach(key => {
+        const spec = specs[key];
+        const row = document.createElement('label');
+        row.style.display = 'flex';
+        row.style.gap = '8px';
+        row.style.alignItems = 'center';
+        row.style.margin = '4px 0';
+        let input;
+        if (spec.type === 'select') {
+          input = document.createElement('select');
+          spec.choices.forEach(c => {
+            const o = document.createElement('option');
+            o.value = c;
+            o.textContent = c;
+            input.appendChild(o);
+          });
+          input.value = values[key];
+        } else {
+          input = document.createElement('input');
+          input.type = spec.type === 'boolean' ? 'checkbox' : spec.type === 'number' ? 'number' : 'text';
+          if (spec.type === 'boolean') input.checked = !!values[key];
+          else input.value = values[key];
+          if (spec.type === 'number') {
+            if (Number.isFinite(spec.min)) input.min = spec.min;
+            if (Number.isFinite(spec.max)) input.max = spec.max;
+            input.style.width = '70px';
+          }
+        }
+        input.onchange = () => {
+          const value = spec.type === 'boolean' ? input.checked : spec.type === 'number' ? Number(input.value) : input.value;
+          if (has.Settings) {
+            const all = Object.assign({}, Settings.get('modeOptions', {}));
+            all[current] = Object.assign({}, all[current], { [key]: value });
+            Settings.set('modeOptions', all);
+          } else {
+            Modes.setModeOptions(current, { [key]: value });
+          }
+          if (has.Typing && typeof Typing.reset === 'function') {
+            try { Typing.reset(); } catch (e) {}
+          }
+          hideResultsPanel();
+        };
+        if (spec.type === 'boolean') {
+          row.appendChild(input);
+          row.appendChild(document.createTextNode(spec.label));
+        } else {
+          row.appendChild(document.createTextNode(spec.label));
+          row.appendChild(input);
+        }
+        pnl.appendChild(row);
+      });
+    }
+
+    // modifiers apply on top of whichever mode is picked
+    [['punctuation', 'Punctuation'], ['numbers', 'Numbers']].forEach(([key, label]) => {
+      const row = document.createElement('label');
+      row.style.display = 'flex';
+      row.style.gap = '8px';
+      row.style.alignItems = 'center';
+      row.style.margin = '6px 0';
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = has.Settings ? !!Settings.get(key, false) : false;
+      cb.onchange = () => {
+        if (has.Settings) Settings.set(key, cb.checked);
+        if (has.Typing && typeof Typing.reset === 'function') {
+          try { Typing.reset(); } catch (e) {}
+        }
+        hideResultsPanel();
+      };
+      row.appendChild(cb);
+      row.appendChild(document.createTextNode(label));
+      pnl.appendChild(row);
+    });
+
+    // funboxes stack on top of the mode; runs using them are kept out of personal bests
+    const fTitle = document.createElement('div');
+    fTitle.textContent = 'Funbox';
+    fTitle.style.margin = '10px 0 2px';
+    fTitle.style.opacity = 0.8;
+    pnl.appendChild(fTitle);
+    const funboxes = has.Modes && Modes.availableFunboxes ? Modes.availableFunboxes() : [];
+    funboxes.forEach(f => {
+      const row = document.createElement('label');
+      row.style.display = 'flex';
+      row.style.gap = '8px';
+      row.style.alignItems = 'center';
+      row.style.margin = '4px 0';
+      row.title = f.desc;
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = has.Modes ? Modes.getFunboxes().includes(f.id) : false;
+      cb.onchange = () => {
+        const active = Modes.getFunboxes().filter(id => id !== f.id);
+        if (cb.checked) active.push(f.id);
+        if (has.Settings) Settings.set('funbox', active);
+        else Modes.setFunboxes(active);
+        if (has.Typing && typeof Typing.reset === 'function') {
+          try { Typing.reset(); } catch (e) {}
+        }
+        hideResultsPanel();
+      };
+      row.appendChild(cb);
+      row.appendChild(document.createTextNode(f.name));
+      pnl.appendChild(row);
+    });
+
+    // language pack for word modes; the pack is fetched on first use
+    const lRow = document.createElement('label');
+    lRow.style.display = 'flex';
+    lRow.style.gap = '8px';
+    lRow.style.alignItems = 'center';
+    lRow.style.margin = '6px 0';
+    lRow.appendChild(document.createTextNode('Language'));
+    const lSel = document.createElement('select');
+    const langs = has.Modes && Modes.availableLanguages ? Modes.availableLanguages() : [{ id: 'english', name: 'English 200' }];
+    langs.forEach(l => {
+      const o = document.createElement('option');
+      o.value = l.id;
+      o.textContent = l.name;
+      lSel.appendChild(o);
+    });
+    lSel.value = has.Modes && Modes.getLanguage ? Modes.getLanguage() : 'english';
+    lSel.onchange = () => {
+      if (has.Settings) Settings.set('language', lSel.value);
+      const ready = has.Modes && Modes.loadLanguage ? Modes.loadLanguage(lSel.value) : Promise.resolve();
+      ready.then(() => {
+        if (has.Typing && typeof Typing.reset === 'function') {
+          try { Typing.reset(); } catch (e) {}
+        }
+      });
+      hideResultsPanel();
+    };
+    lRow.appendChild(lSel);
+    pnl.appendChild(lRow);
+
+    // code mode: snippet language and whether indentation is typed
+    const cRow = document.createElement('label');
+    cRow.style.display = 'flex';
+    cRow.style.gap = '8px';
+    cRow.style.alignItems = 'center';
+    cRow.style.margin = '6px 0';
+    cRow.appendChild(document.createTextNode('Code'));
+    const cSel = document.createElement('select');
+    ['all', 'javascript', 'python', 'json', 'shell'].forEach(v => {
+      const o = document.createElement('option');
+      o.value = v;
+      o.textContent = v;
+      cSel.appendChild(o);
+    });
+    cSel.value = has.Settings ? Settings.get('codeLanguage', 'all') : 'all';
+    const cIndent = document.createElement('input');
+    cIndent.type = 'checkbox';
+    cIndent.checked = has.Settings ? Settings.get('autoIndent', true) !== false : true;
+    const resetIfCode = () => {
+      if (has.Modes && Modes.isCode && Modes.isCode() && has.Typing && typeof Typing.reset === 'function') {
+        try { Typing.reset(); } catch (e) {}
+      }
+      hideResultsPanel();
+    };
+    cSel.onchange = () => {
+      if (has.Settings) Settings.set('codeLanguage', cSel.value);
+      resetIfCode();
+    };
+    cIndent.onchange = () => {
+      if (has.Settings) Settings.set('autoIndent', cIndent.checked);
+      resetIfCode();
+    };
+    cRow.appendChild(cSel);
+    cRow.appendChild(cIndent);
+    cRow.appendChild(document.createTextNode('auto-indent'));
+    pnl.appendChild(cRow);
+
+    // quote length category, used by the quotes mode
+    const qRow = document.createElement('label');
+    qRow.style.display = 'flex';
+    qRow.style.gap = '8px';
+    qRow.style.alignItems = 'center';
+    qRow.style.margin = '6px 0';
+    qRow.appendChild(document.createTextNode('Quote length'));
+    const qSel = document.createElement('select');
+    [['all', 'all'], ['short', 'short'], ['medium', 'medium'], ['long', 'long'], ['thirty', '30 seconds']].forEach(([v, t]) => {
+      const o = document.createElement('option');
+      o.value = v;
+      o.textContent = t;
+      qSel.appendChild(o);
+    });
+    qSel.value = has.Settings ? Settings.get('quoteLength', 'all') : 'all';
+    qSel.onchange = () => {
+      if (has.Settings) Settings.set('quoteLength', qSel.value);
+      if (has.Modes && Modes.isFixedText && Modes.isFixedText() && has.Typing && typeof Typing.reset === 'function') {
+        try { Typing.reset(); } catch (e) {}
+      }
+      hideResultsPanel();
+    };
+    qRow.appendChild(qSel);
+    pnl.appendChild(qRow);
+
+    // play a seed shared by someone else (shown on their results)
+    const sRow = document.createElement('label');
+    sRow.style.display = 'flex';
+    sRow.style.gap = '8px';
+    sRow.style.alignItems = 'center';
+    sRow.style.margin = '6px 0';
+    sRow.appendChild(document.createTextNode('Seed'));
+    const sInput = document.createElement('input');
+    sInput.type = 'number';
+    sInput.min = '0';
+    sInput.style.width = '110px';
+    const sGo = document.createElement('button');
+    sGo.textContent = 'Go';
+    sGo.onclick = (e) => {
+      e.preventDefault();
+      if (sInput.value === '') return;
+      pnl.remove();
+      retrySameWords(Number(sInput.value));
+    };
+    sRow.appendChild(sInput);
+    sRow.appendChild(sGo);
+    pnl.appendChild(sRow);
+
+    const customBtn = document.createElement('button');
+    customBtn.textContent = 'Custom text…';
+    customBtn.style.display = 'block';
+    customBtn.style.width = '100%';
+    customBtn.style.marginTop = '8px';
+    customBtn.style.padding = '8px';
+    customBtn.style.borderRadius = '6px';
+    customBtn.style.background = 'transparent';
+    customBtn.style.border = '1px dashed var(--border)';
+    customBtn.style.color = 'var(--text)';
+    customBtn.onclick = () => {
+      pnl.remove();
+      openCustomTextPanel();
+    };
+    pnl.appendChild(customBtn);
+  }
+
+  // switch to a mode and start over with a fresh word list
+  function selectMode(id, label) {
+    if (has.Modes) {
+      try { Modes.setMode(id); } catch (e) {}
+    }
+    if (el.modeDisplay) el.modeDisplay.textContent = label || id;
+    // modes with data to fetch (quotes, code, registered modes) wait for it
+    const ready = has.Modes && Modes.loadMode ? Modes.loadMode(id) : Promise.resolve();
+    ready.then(() => {
+      if (has.Typing && typeof Typing.reset === 'function') {
+        try { Typing.reset(); } catch (e) {}
+      }
+    });
+    hideResultsPanel();
+    focusInputSilently();
+  }
+
+  // paste or upload a text, then play it as a custom mode; saved texts are listed for reuse
+  function openCustomTextPanel() {
+    if (!has.Modes || typeof Modes.saveCustomText !== 'function') return;
+    let pnl = $('#custom-text-panel');
+    if (!pnl) {
+      pnl = document.createElement('div');
+      pnl.id = 'custom-text-panel';
+      pnl.className = 'modal-panel';
+      pnl.style.position = 'fixed';
+      pnl.style.left = '50%';
+      pnl.style.top = '10%';
+      pnl.style.transform = 'translateX(-50%)';
+      pnl.style.background = 'var(--panel-bg)';
+      pnl.style.border = '1px solid var(--border)';
+      pnl.style.padding = '16px';
+      pnl.style.borderRadius = '12px';
+      pnl.style.zIndex = 120;
+      pnl.style.width = 'min(560px, 92vw)';
+      document.body.appendChild(pnl);
+    }
+    pnl.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center">
+        <div style="font-weight:700;color:var(--accent)">Custom text</div>
+        <button id="close-custom-text" style="background:transparent;border:none;color:var(--text)">✕</button>
+      </div>
+      <div style="margin-top:10px;">
+        <label style="display:block;margin-bottom:8px">Name:
+          <input id="custom-text-name" type="text" maxlength="40" style="margin-left:10px;width:200px" />
+        </label>
+        <textarea id="custom-text-body" rows="8" style="width:100%;margin-bottom:8px" placeholder="Paste text here"></textarea>
+        <label style="display:block;margin-bottom:8px">Or load a .txt file:
+          <input id="custom-text-file" type="file" accept=".txt,text/plain" style="margin-left:10px" />
+        </label>
+        <label style="display:block;margin-bottom:8px">Playback:
+          <select id="custom-text-order" style="margin-left:10px">
+            <option value="ordered">In order</option>
+            <option value="shuffled">Shuffled</option>
+          </select>
+        </label>
+        <label style="display:block;margin-bottom:8px">Repeat:
+          <input id="custom-text-repeat" type="number" min="1" max="100" value="1" style="margin-left:10px;width:72px" />
+        </label>
+        <label style="display:block;margin-bottom:8px">Normalise quotes, dashes and spaces:
+          <input id="custom-text-normalize" type="checkbox" style="margin-left:10px" checked />
+        </label>
+        <label style="display:block;margin-bottom:8px">Remove punctuation:
+          <input id="custom-text-strip" type="checkbox" style="margin-left:10px" />
+        </label>
+        <div id="custom-text-error" style="color:var(--wrong);margin-bottom:8px"></div>
+        <div style="display:flex;gap:8px;justify-content:flex-end">
+          <button id="save-custom-text" style="background:var(--accent);border-radius:8px;padding:6px 10px;border:none">Save &amp; start</button>
+          <button id="cancel-custom-text" style="background:transparent;border:1px solid var(--border);border-radius:8px;padding:6px 10px">Cancel</button>
+        </div>
+        <div id="custom-text-saved" style="margin-top:12px"></div>
+      </div>
+    `;
+    $('#close-custom-text').addEventListener('click', () => pnl.remove());
+    $('#cancel-custom-text').addEventListener('click', () => pnl.remove());
+
+    $('#custom-text-file').addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        $('#custom-text-body').value = String(reader.result || '');
+        if (!$('#custom-text-name').value) $('#custom-text-name').value = file.name.replace(/\.txt$/i, '');
+      };
+      reader.readAsText(file);
+    });
+
+    $('#save-custom-text').addEventListener('click', () => {
+      try {
+        const id = Modes.saveCustomText($('#custom-text-name').value, $('#custom-text-body').value, {
+          ordered: $('#custom-text-order').value === 'ordered',
+          repeat: Number($('#custom-text-repeat').value) || 1,
+          normalize: $('#custom-text-normalize').checked,
+          stripPunctuation: $('#custom-text-strip').checked
+        });
+        pnl.remove();
+        selectMode(id, 'custom');
+      } catch (e) {
+        $('#custom-text-error').textContent = e.message;
+      }
+    });
+
+    // saved texts: load into the form or delete
+    const saved = $('#custom-text-saved');
+    const texts = Modes.getCustomTexts();
+    if (texts.length) saved.innerHTML = '<div style="font-weight:700;margin-bottom:6px;color:var(--accent)">Saved</div>';
+    texts.forEach(t => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.gap = '8px';
+      row.style.alignItems = 'center';
+      row.style.margin = '4px 0';
+      const name = document.createElement('span');
+      name.textContent = `${t.name} (${t.text.trim().split(/\s+/).length} words)`;
+      name.style.flex = '1';
+      const edit = document.createElement('button');
+      edit.textContent = 'Edit';
+      edit.onclick = () => {
+        $('#custom-text-name').value = t.name;
+        $('#custom-text-body').value = t.text;
+        $('#custom-text-order').value = t.ordered ? 'ordered' : 'shuffled';
+        $('#custom-text-repeat').value = String(t.repeat);
+        // texts saved before these options were kept were normalised and kept their punctuation
+        $('#custom-text-normalize').checked = t.normalize !== false;
+        $('#custom-text-strip').checked = !!t.stripPunctuation;
+      };
+      const del = document.createElement('button');
+      del.textContent = 'Delete';
+      del.onclick = () => {
+        const wasCurrent = Modes.getMode() === t.id;
+        Modes.deleteCustomText(t.id);
+        row.remove();
+        if (wasCurrent) selectMode('english');
+      };
+      row.appendChild(name);
+      row.appendChild(edit);
+      row.appendChild(del);
+      saved.appendChild(row);
+    });
   }
 
   // Wire settings panel (if Settings exists, use it; otherwise show fallback)
@@ -285,6 +775,45 @@
         <label style="display:block;margin-bottom:8px">Show WPM Graph:
           <input id="settings-graph" type="checkbox" style="margin-left:10px" checked />
         </label>
+        <label style="display:block;margin-bottom:8px">Smooth Graph:
+          <input id="settings-graph-smooth" type="checkbox" style="margin-left:10px" />
+        </label>
+        <label style="display:block;margin-bottom:8px">Test:
+          <select id="settings-test-type" style="margin-left:10px">
+            <option value="time">Time</option>
+            <option value="words">Words</option>
+            <option value="zen">Zen (Shift+Enter to finish)</option>
+          </select>
+        </label>
+        <label style="display:block;margin-bottom:8px">Time:
+          <select id="settings-duration" style="margin-left:10px">
+            <option value="15">15s</option>
+            <option value="30">30s</option>
+            <option value="60">60s</option>
+            <option value="120">120s</option>
+          </select>
+        </label>
+        <label style="display:block;margin-bottom:8px">Difficulty:
+          <select id="settings-difficulty" style="margin-left:10px">
+            <option value="normal">Normal</option>
+            <option value="expert">Expert (fail on a wrong word)</option>
+            <option value="master">Master (fail on a wrong key)</option>
+          </select>
+        </label>
+        <label style="display:block;margin-bottom:8px">Words:
+          <select id="settings-word-target" style="margin-left:10px">
+            <option value="10">10</option>
+            <option value="25">25</option>
+            <option value="50">50</option>
+            <option value="100">100</option>
+            <option value="custom">Custom</option>
+          </select>
+          <input id="settings-word-custom" type="number" min="1" max="5000" style="margin-left:6px;width:72px" />
+        </label>
+        <div id="settings-backup" class="hidden" style="margin-bottom:8px;color:var(--sub);font-size:0.85rem">
+          Backup from before the last update (<span id="settings-backup-date"></span>)
+          <button id="discard-backup" style="margin-left:6px;background:transparent;border:1px solid var(--border);border-radius:6px;color:var(--text)">Discard</button>
+        </div>
         <div style="margin-top:10px;display:flex;gap:8px;justify-content:flex-end">
           <button id="save-settings" style="background:var(--accent);border-radius:8px;padding:6px 10px;border:none">Save</button>
           <button id="cancel-settings" style="background:transparent;border:1px solid var(--border);border-radius:8px;padding:6px 10px">Cancel</button>
@@ -295,6 +824,20 @@
     // wire buttons
     $('#close-settings').addEventListener('click', () => pnl.remove());
     $('#cancel-settings').addEventListener('click', () => pnl.remove());
+    // the data as it was before the last storage update (settings and the like in Store, runs in
+    // IndexedDB), kept until discarded here
+    const showBackup = (backup) => {
+      if (!backup || !pnl.isConnected) return;
+      $('#settings-backup-date').textContent = new Date(backup.createdAt).toLocaleString();
+      $('#settings-backup').classList.remove('hidden');
+    };
+    if (window.Store) showBackup(Store.getBackup());
+    if (has.Data && Data.getRunsBackup) Data.getRunsBackup().then(showBackup);
+    $('#discard-backup').addEventListener('click', () => {
+      if (window.Store) Store.discardBackup();
+      if (has.Data && Data.discardRunsBackup) Data.discardRunsBackup();
+      $('#settings-backup').classList.add('hidden');
+    });
     // populate initial values from Settings if available
     if (has.Settings) {
       try {
@@ -304,6 +847,14 @@
         $('#settings-theme').value = theme;
         $('#settings-sound').checked = !!sound;
         $('#settings-graph').checked = !!graph;
+        $('#settings-graph-smooth').checked = !!Settings.get('graphSmoothing', false);
+        $('#settings-test-type').value = Settings.get('testType', 'time');
+        $('#settings-duration').value = String(Settings.get('duration', 60));
+        $('#settings-difficulty').value = Settings.get('difficulty', 'normal');
+        const target = String(Settings.get('wordTarget', 25));
+        const preset = ['10', '25', '50', '100'].includes(target);
+        $('#settings-word-target').value = preset ? target : 'custom';
+        $('#settings-word-custom').value = target;
       } catch (e) {}
     }
     // Save
@@ -311,28 +862,283 @@
       const theme = $('#settings-theme').value;
       const sound = $('#settings-sound').checked;
       const graph = $('#settings-graph').checked;
+      const graphSmoothing = $('#settings-graph-smooth').checked;
+      const testType = $('#settings-test-type').value;
+      const duration = Number($('#settings-duration').value) || 60;
+      const difficulty = $('#settings-difficulty').value;
+      const targetSel = $('#settings-word-target').value;
+      const wordTarget = Math.max(1, Math.min(5000, Math.floor(Number(targetSel === 'custom' ? $('#settings-word-custom').value : targetSel)) || 25));
       if (has.Settings) {
         try {
           Settings.set('theme', theme);
           Settings.set('sound', sound);
           Settings.set('showWPMGraph', graph);
+          Settings.set('graphSmoothing', graphSmoothing);
+          Settings.set('testType', testType);
+          Settings.set('duration', duration);
+          Settings.set('wordTarget', wordTarget);
+          Settings.set('difficulty', difficulty);
         } catch (e) {}
       } else {
         // minimal application: toggle document theme class
         document.documentElement.classList.toggle('theme-light', theme === 'light');
         document.documentElement.classList.toggle('theme-dark', theme !== 'light');
         // persist
-        try { localStorage.setItem('sebtype:settings:v1', JSON.stringify({ theme, sound, showWPMGraph: graph })) } catch (e) {}
+        if (window.Store) {
+          const saved = Store.read(Store.KEYS.settings, { fallback: {} }) || {};
+          Store.write(Store.KEYS.settings, Object.assign(saved, { theme, sound, showWPMGraph: graph }));
+        }
       }
       // configure Sounds if present
       if (has.Sounds) {
         try { Sounds.setEnabled(!!sound); } catch (e) {}
       }
+      // test length may have changed: start over with the new configuration
+      if (has.Typing && typeof Typing.reset === 'function') {
+        try { Typing.reset(); } catch (e) {}
+      }
+      hideResultsPanel();
       pnl.remove();
     });
   }
 
-  // Stats panel (shows Data.getRecent)
+  // last finished run (recorded record when Data is present), used by the results Replay button
+  let lastRun = null;
+
+  // Replay a run in the word stream; the results panel comes back when it was opened from there
+  function startReplay(rec, { speed = 1, fromResults = false } = {}) {
+    if (!has.Replay || !Replay.canReplay(rec)) return;
+    hideResultsPanel();
+    $('#stats-panel')?.remove();
+    if (has.Typing && typeof Typing.reset === 'function' && !fromResults) {
+      try { Typing.reset(); } catch (e) {}
+    }
+    Replay.play(rec, {
+      speed,
+      onEnd: () => {
+        if (fromResults) showResultsPanel();
+        else if (has.Typing && typeof Typing.reset === 'function') Typing.reset();
+      }
+    });
+  }
+
+  function stopReplay() {
+    if (has.Replay && Replay.isPlaying()) Replay.stop();
+  }
+
+  // keyboard layout for the stats heatmap; shifted characters fold onto their base key
+  const KB_ROWS = ['`1234567890-=', 'qwertyuiop[]\\', "asdfghjkl;'", 'zxcvbnm,./', ' '];
+  const KB_SHIFTED = {
+    '~': '`', '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '^': '6', '&': '7', '*': '8', '(': '9', ')': '0',
+    '_': '-', '+': '=', '{': '[', '}': ']', '|': '\\', ':': ';', '"': "'", '<': ',', '>': '.', '?': '/'
+  };
+  // keys need this many presses before they can be called weak
+  const KB_MIN_SAMPLES = 10;
+
+  // keyboard-shaped heatmap of Data.getKeyStats(): green = clean, red = 20%+ errors
+  function buildKeyHeatmap(keyStats = {}) {
+    const keys = {};
+    Object.keys(keyStats).forEach(ch => {
+      const base = KB_SHIFTED[ch] || ch.toLowerCase();
+      const k = keys[base] || (keys[base] = { correct: 0, incorrect: 0 });
+      k.correct += keyStats[ch].correct || 0;
+      k.incorrect += keyStats[ch].incorrect || 0;
+    });
+    const rate = k => (k.correct + k.incorrect ? k.incorrect / (k.correct + k.incorrect) : 0);
+    const weakest = Object.keys(keys)
+      .filter(ch => keys[ch].correct + keys[ch].incorrect >= KB_MIN_SAMPLES && keys[ch].incorrect > 0)
+      .sort((a, b) => rate(keys[b]) - rate(keys[a]))
+      .slice(0, 5);
+
+    const wrap = document.createElement('div');
+    wrap.className = 'kb-heatmap';
+    KB_ROWS.forEach(row => {
+      const rowEl = document.createElement('div');
+      rowEl.className = 'kb-row';
+      row.split('').forEach(ch => {
+        const keyEl = document.createElement('div');
+        keyEl.className = 'kb-key' + (ch === ' ' ? ' kb-space' : '');
+        keyEl.textContent = ch === ' ' ? 'space' : ch;
+        const k = keys[ch];
+        if (k && k.correct + k.incorrect) {
+          const r = rate(k);
+          const hue = Math.round(140 * (1 - Math.min(1, r / 0.2)));
+          keyEl.style.background = `hsla(${hue}, 70%, 40%, 0.85)`;
+          keyEl.title = `${Math.round(r * 1000) / 10}% errors (${k.incorrect}/${k.correct + k.incorrect})`;
+        }
+        if (weakest.includes(ch)) keyEl.classList.add('weak');
+        rowEl.appendChild(keyEl);
+      });
+      wrap.appendChild(rowEl);
+    });
+    const note = document.createElement('div');
+    note.style.marginTop = '6px';
+    note.style.color = 'var(--sub)';
+    note.textContent = weakest.length
+      ? `Weakest keys: ${weakest.map(ch => `${ch === ' ' ? 'space' : ch} (${Math.round(rate(keys[ch]) * 100)}%)`).join(', ')}`
+      : 'Not enough data yet to find weak keys.';
+    wrap.appendChild(note);
+    return wrap;
+  }
+
+  // CSV export (chosen columns) and import (Monkeytype exports or our columns, with a column mapping)
+  function buildCsvSection() {
+    const { all, defaults } = Data.csvColumns();
+    const wrap = document.createElement('div');
+    wrap.style.marginTop = '12px';
+    wrap.innerHTML = `
+      <div style="font-weight:700;color:var(--accent);margin-bottom:6px">CSV</div>
+      <div id="csv-columns" style="display:flex;flex-wrap:wrap;gap:4px 10px;font-size:0.85rem;color:var(--sub)"></div>
+      <div style="display:flex;gap:8px;align-items:center;margin-top:8px;flex-wrap:wrap">
+        <button id="csv-export" style="background:var(--accent);border-radius:8px;padding:6px 10px;border:none">Export CSV</button>
+        <label style="color:var(--sub);font-size:0.85rem">Import:
+          <input id="csv-file" type="file" accept=".csv,text/csv" style="margin-left:6px" />
+        </label>
+      </div>
+      <div id="csv-import" style="display:none;margin-top:8px">
+        <label style="display:block;margin-bottom:6px;color:var(--sub);font-size:0.85rem">Format:
+          <select id="csv-format" style="margin-left:6px">
+            <option value="sebtype">SebType columns</option>
+            <option value="monkeytype">Monkeytype export</option>
+          </select>
+        </label>
+        <div id="csv-mapping" style="display:grid;grid-template-columns:auto auto;gap:4px 10px;font-size:0.85rem;color:var(--sub)"></div>
+        <button id="csv-import-go" style="margin-top:8px;background:var(--accent);border-radius:8px;padding:6px 10px;border:none">Import runs</button>
+      </div>
+      <div id="csv-status" style="margin-top:6px;color:var(--sub);font-size:0.85rem"></div>
+    `;
+    const columns = wrap.querySelector('#csv-columns');
+    all.forEach(c => {
+      const label = document.createElement('label');
+      label.innerHTML = `<input type="checkbox" value="${c}" ${defaults.includes(c) ? 'checked' : ''} /> ${c}`;
+      columns.appendChild(label);
+    });
+
+    wrap.querySelector('#csv-export').addEventListener('click', () => {
+      const chosen = Array.from(columns.querySelectorAll('input:checked')).map(i => i.value);
+      if (!chosen.length) {
+        wrap.querySelector('#csv-status').textContent = 'Pick at least one column.';
+        return;
+      }
+      const url = URL.createObjectURL(new Blob([Data.exportCsv({ columns: chosen })], { type: 'text/csv' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'sebtype-history.csv';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    });
+
+    let csvText = '';
+    const mapping = wrap.querySelector('#csv-mapping');
+    const format = wrap.querySelector('#csv-format');
+    format.addEventListener('change', () => { mapping.style.display = format.value === 'sebtype' ? 'grid' : 'none'; });
+
+    wrap.querySelector('#csv-file').addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        csvText = String(reader.result || '');
+        const info = Data.inspectCsv(csvText);
+        format.value = info.format;
+        mapping.style.display = info.format === 'sebtype' ? 'grid' : 'none';
+        mapping.innerHTML = '';
+        all.forEach(field => {
+          const name = document.createElement('span');
+          name.textContent = field;
+          const sel = document.createElement('select');
+          sel.dataset.field = field;
+          sel.innerHTML = '<option value="">(skip)</option>';
+          info.headers.forEach(h => {
+            const opt = document.createElement('option');
+            opt.value = h;
+            opt.textContent = h;
+            sel.appendChild(opt);
+          });
+          sel.value = info.mapping[field] || '';
+          mapping.appendChild(name);
+          mapping.appendChild(sel);
+        });
+        wrap.querySelector('#csv-import').style.display = 'block';
+        wrap.querySelector('#csv-status').textContent = `${info.rows} row(s) in ${file.name}`;
+      };
+      reader.readAsText(file);
+    });
+
+    wrap.querySelector('#csv-import-go').addEventListener('click', () => {
+      const map = {};
+      mapping.querySelectorAll('select').forEach(sel => { if (sel.value) map[sel.dataset.field] = sel.value; });
+      const res = Data.importCsv(csvText, { format: format.value, mapping: format.value === 'sebtype' ? map : null });
+      // reopen to show the imported runs
+      openStatsPanel();
+      $('#csv-status').textContent = res
+        ? `Imported ${res.imported} run(s)${res.skipped ? `, ${res.skipped} skipped (already saved or no wpm)` : ''}.`
+        : 'Could not read that file.';
+    });
+    return wrap;
+  }
+
+  // runs per page in the stats panel
+  const STATS_PAGE_SIZE = 50;
+
+  // one page of runs ({ page, pages, total, data } from Data.getHistoryAsync) with replay buttons and
+  // prev/next controls; show(page) loads another page
+  function buildRunsPage(res, show) {
+    const wrap = document.createElement('div');
+    const table = document.createElement('table');
+    table.style.width = '100%';
+    table.style.marginTop = '8px';
+    table.innerHTML = `
+      <thead style="text-align:left;color:var(--sub)"><tr><th>WPM</th><th>Acc</th><th>Raw</th><th>Mode</th><th>Date</th><th></th></tr></thead>
+      <tbody></tbody>
+    `;
+    const tbody = table.querySelector('tbody');
+    res.data.forEach(r => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `<td style="padding:6px">${r.wpm}</td><td>${r.accuracy}%</td><td>${r.raw}</td><td>${r.mode}</td><td>${new Date(r.date).toLocaleString()}</td><td></td>`;
+      if (has.Replay && Replay.canReplay(r)) {
+        const b = document.createElement('button');
+        b.textContent = 'Replay';
+        b.style.background = 'transparent';
+        b.style.border = '1px solid var(--border)';
+        b.style.borderRadius = '6px';
+        b.style.color = 'var(--text)';
+        b.addEventListener('click', () => {
+          const speed = Number($('#stats-replay-speed')?.value) || 1;
+          startReplay(r, { speed });
+        });
+        tr.lastElementChild.appendChild(b);
+      }
+      tbody.appendChild(tr);
+    });
+    wrap.appendChild(table);
+
+    const pager = document.createElement('div');
+    pager.style.display = 'flex';
+    pager.style.alignItems = 'center';
+    pager.style.gap = '8px';
+    pager.style.marginTop = '8px';
+    pager.style.color = 'var(--sub)';
+    pager.style.fontSize = '0.85rem';
+    const pageButton = (label, page) => {
+      const b = document.createElement('button');
+      b.textContent = label;
+      b.disabled = page < 1 || page > res.pages;
+      b.addEventListener('click', () => show(page));
+      return b;
+    };
+    const info = document.createElement('span');
+    info.textContent = `Page ${res.page} of ${res.pages} · ${res.total} run(s)`;
+    pager.appendChild(pageButton('‹ Newer', res.page - 1));
+    pager.appendChild(info);
+    pager.appendChild(pageButton('Older ›', res.page + 1));
+    wrap.appendChild(pager);
+    return wrap;
+  }
+
+  // Stats panel (recent runs, a page at a time from Data.getHistoryAsync)
   function openStatsPanel() {
     const pnlId = 'stats-panel';
     let pnl = document.getElementById(pnlId);
@@ -352,33 +1158,46 @@
       pnl.style.overflow = 'auto';
       document.body.appendChild(pnl);
     }
-    pnl.innerHTML = `<div style="display:flex;justify-content:space-between;align-items:center">
+    pnl.innerHTML = `<div style="display:flex;justify-content:space-between;align-items:center;gap:12px">
       <div style="font-weight:700;color:var(--accent)">Recent Runs</div>
+      <label style="color:var(--sub);font-size:0.85rem">Replay speed
+        <select id="stats-replay-speed" style="margin-left:6px">
+          <option value="0.5">0.5x</option>
+          <option value="1" selected>1x</option>
+          <option value="2">2x</option>
+        </select>
+      </label>
       <button id="close-stats" style="background:transparent;border:none;color:var(--text)">✕</button>
     </div>`;
     $('#close-stats').addEventListener('click', () => pnl.remove());
 
     // If Data exists show recent runs; otherwise show a help message
     if (has.Data) {
-      const recent = Data.getRecent(50);
-      if (recent.length === 0) {
-        pnl.innerHTML += '<div style="margin-top:10px;color:var(--sub)">No runs recorded yet — do a test first.</div>';
-      } else {
-        const table = document.createElement('table');
-        table.style.width = '100%';
-        table.style.marginTop = '8px';
-        table.innerHTML = `
-          <thead style="text-align:left;color:var(--sub)"><tr><th>WPM</th><th>Acc</th><th>Raw</th><th>Mode</th><th>Date</th></tr></thead>
-          <tbody></tbody>
-        `;
-        const tbody = table.querySelector('tbody');
-        recent.forEach(r => {
-          const tr = document.createElement('tr');
-          tr.innerHTML = `<td style="padding:6px">${r.wpm}</td><td>${r.accuracy}%</td><td>${r.raw}</td><td>${r.mode}</td><td>${new Date(r.date).toLocaleString()}</td>`;
-          tbody.appendChild(tr);
-        });
-        pnl.appendChild(table);
-      }
+      // filled once the page is read (older runs may only be in IndexedDB)
+      const runsBox = document.createElement('div');
+      pnl.appendChild(runsBox);
+      const showPage = (page) => {
+        const load = Data.getHistoryAsync
+          ? Data.getHistoryAsync({ page, pageSize: STATS_PAGE_SIZE })
+          : Promise.resolve(Data.getHistory({ page, pageSize: STATS_PAGE_SIZE }));
+        load.then(res => {
+          runsBox.innerHTML = '';
+          if (res.total === 0) {
+            runsBox.innerHTML = '<div style="margin-top:10px;color:var(--sub)">No runs recorded yet — do a test first.</div>';
+            return;
+          }
+          const heatTitle = document.createElement('div');
+          heatTitle.style.margin = '10px 0 6px';
+          heatTitle.style.fontWeight = '700';
+          heatTitle.style.color = 'var(--accent)';
+          heatTitle.textContent = 'Key Errors';
+          runsBox.appendChild(heatTitle);
+          runsBox.appendChild(buildKeyHeatmap(Data.getKeyStats ? Data.getKeyStats() : {}));
+          runsBox.appendChild(buildRunsPage(res, showPage));
+        }).catch(e => console.warn('[main] failed to load runs', e));
+      };
+      showPage(1);
+      if (Data.exportCsv) pnl.appendChild(buildCsvSection());
     } else {
       pnl.innerHTML += '<div style="margin-top:10px;color:var(--sub)">No data module loaded. Runs are not being saved.</div>';
     }
@@ -387,9 +1206,10 @@
   // Handle result from Typing finish (safe hooking)
   function onTestFinish(stats) {
     // stats expected to contain: wpm, accuracy, raw, elapsed, history (optional)
-    // render results and show overlay
-    renderResults(stats || {});
+    // show overlay first so the graph canvas has a size, then render results
     showResultsPanel();
+    renderResults(stats || {});
+    lastRun = stats || null;
 
     // record via Data if present
     if (has.Data) {
@@ -398,22 +1218,54 @@
           wpm: stats.wpm || 0,
           accuracy: stats.accuracy || 0,
           raw: stats.raw || 0,
-          elapsed: stats.elapsed || (stats.timeLeft ? ( (has.Timer && Timer.getProgress) ? Math.round(Timer.getProgress()* (Timer.getProgress && Timer.getProgress()) ) : 0 : 0),
+          consistency: stats.consistency || 0,
+          afk: !!stats.afk,
+          afkSeconds: stats.afkSeconds || 0,
+          elapsed: stats.elapsed || 0,
           mode: has.Modes ? Modes.getMode() : 'english',
-          timeLimit: stats.timeLimit || (has.Timer && Timer.setDuration ? undefined : undefined),
-          history: stats.history || []
+          timeLimit: stats.timeLimit,
+          testType: stats.testType,
+          wordCount: stats.wordCount,
+          punctuation: !!stats.punctuation,
+          numbers: !!stats.numbers,
+          numbersFormat: stats.numbersFormat,
+          language: stats.language,
+          seed: stats.seed,
+          quoteId: stats.quoteId,
+          quoteSource: stats.quoteSource,
+          snippetId: stats.snippetId,
+          whitespaceAccuracy: stats.whitespaceAccuracy,
+          difficulty: stats.difficulty,
+          failed: !!stats.failed,
+          failReason: stats.failReason,
+          funbox: stats.funbox || [],
+          samples: stats.history || {},
+          keylog: stats.keylog || [],
+          targetWords: stats.targetWords || [],
+          keyStats: stats.keyStats || {},
+          bigramStats: stats.bigramStats || {}
         };
-        Data.recordRun && Data.recordRun(rec);
+        const saved = Data.recordRun && Data.recordRun(rec);
+        if (saved) lastRun = saved;
+        const pb = saved && Data.lastPersonalBest ? Data.lastPersonalBest() : null;
+        renderPersonalBest(pb && pb.runId === saved.id ? pb : null);
+        // the quote best includes this run once it is saved
+        renderQuoteInfo(stats);
       } catch (e) {
         console.warn('[main] failed to record run', e);
       }
     }
+    if (el.replayBtn) el.replayBtn.classList.toggle('hidden', !(has.Replay && Replay.canReplay(lastRun)));
+    if (el.retryBtn) el.retryBtn.classList.toggle('hidden', !(lastRun && lastRun.seed != null));
     // play finish sound
     if (has.Sounds) {
-      try { Sounds.playFinish(); } catch (e) {}
+      try { stats.failed ? Sounds.playError() : Sounds.playFinish(); } catch (e) {}
     }
   }
 
+  // single finish handler so the hook is never wrapped around itself
+  const finishHook = (stats) => onTestFinish(stats);
+
   // Hook Typing events if Typing has callbacks or event hooks
   function wireTypingEvents() {
     if (!has.Typing) return;
@@ -426,7 +1278,7 @@
       // if engine-style with hooks:
       if (typeof Typing.onFinish === 'function' || typeof Typing.onFinish === 'undefined') {
         // safe set if available
-        try { Typing.onFinish = (stats) => onTestFinish(stats); } catch (e) {}
+        try { Typing.onFinish = finishHook; } catch (e) {}
         try { Typing.onTick = (payload) => updateHud(payload); } catch (e) {}
         try { Typing.onUpdateWordState = (state) => {
           // if the Typing module already renders the word area we don't need to re-render.
@@ -461,6 +1313,11 @@
       if (el.hiddenInput) {
         el.hiddenInput.addEventListener('input', (ev) => {
           const v = ev.target.value;
+          // the word stream belongs to the replay while it plays
+          if (has.Replay && Replay.isPlaying()) {
+            el.hiddenInput.value = '';
+            return;
+          }
           // call Typing.processInput if available
           if (typeof Typing.processInput === 'function') {
             try { Typing.processInput(v); } catch (e) {}
@@ -483,6 +1340,7 @@
         el.hiddenInput.addEventListener('keydown', (ev) => {
           if (ev.key === 'Escape') {
             // stop or reset
+            stopReplay();
             if (typeof Typing.reset === 'function') Typing.reset();
             if (typeof Timer.stop === 'function') Timer.stop();
             hideResultsPanel();
@@ -492,6 +1350,28 @@
               try { Typing.processKeystroke('Backspace'); } catch (e) {}
             }
           }
+          // code tests: Enter ends a line, Tab indents (the input box can't hold a newline)
+          if (!ev.shiftKey && (ev.key === 'Enter' || ev.key === 'Tab') && typeof Typing.isCode === 'function' && Typing.isCode()) {
+            ev.preventDefault();
+            if (has.Replay && Replay.isPlaying()) return;
+            if (ev.key === 'Tab') {
+              el.hiddenInput.value += '\t';
+              el.hiddenInput.dispatchEvent(new Event('input'));
+            } else {
+              try { Typing.processInput(el.hiddenInput.value + '\n'); } catch (e) {}
+              el.hiddenInput.value = '';
+              if (has.Sounds) {
+                try { Sounds.playKey(); } catch (e) {}
+              }
+            }
+          }
+          // manual finish (zen tests)
+          if (ev.key === 'Enter' && ev.shiftKey) {
+            ev.preventDefault();
+            if (typeof Typing.processKeystroke === 'function') {
+              try { Typing.processKeystroke('Shift+Enter'); } catch (e) {}
+            }
+          }
         });
       }
     } catch (e) {
@@ -499,12 +1379,25 @@
     }
   }
 
+  // new test from the same seed; mode and settings are whatever is current
+  function retrySameWords(seed) {
+    if (seed == null || !has.Typing || typeof Typing.reset !== 'function') return;
+    hideResultsPanel();
+    stopReplay();
+    try { Typing.reset({ seed }); } catch (e) {}
+    if (has.Graph && typeof Graph.clear === 'function') Graph.clear();
+    if (el.hiddenInput) el.hiddenInput.value = '';
+    focusInputSilently();
+  }
+
   // Restart/Reset handler
   function wireRestart() {
+    if (el.retryBtn) el.retryBtn.addEventListener('click', () => retrySameWords(lastRun && lastRun.seed));
     if (!el.restartBtn) return;
     el.restartBtn.addEventListener('click', () => {
       // hide results and reset modules
       hideResultsPanel();
+      stopReplay();
       if (has.Typing && typeof Typing.reset === 'function') Typing.reset();
       if (has.Graph && typeof Graph.clear === 'function') Graph.clear();
       if (has.Timer && typeof Timer.stop === 'function') Timer.stop();
@@ -516,6 +1409,15 @@
     });
   }
 
+  // Replay button on the results panel
+  function wireReplay() {
+    if (!el.replayBtn) return;
+    el.replayBtn.addEventListener('click', () => {
+      const speed = Number(el.replaySpeed?.value) || 1;
+      startReplay(lastRun, { speed, fromResults: true });
+    });
+  }
+
   // Hook up Nav buttons
   function wireNavButtons() {
     if (el.btnModes) {
@@ -539,8 +1441,10 @@
   function attachFinishHookIfPossible() {
     if (!has.Typing) return;
     try {
+      // already wired by wireTypingEvents
+      if (Typing.onFinish === finishHook) return;
       if (typeof Typing.onFinish === 'undefined') {
-        Typing.onFinish = (stats) => onTestFinish(stats);
+        Typing.onFinish = finishHook;
       } else if (typeof Typing.onFinish === 'function') {
         // override but call previous if present
         const prev = Typing.onFinish;
@@ -560,6 +1464,7 @@
     wireNavButtons();
     wireTypingEvents();
     wireRestart();
+    wireReplay();
     attachFinishHookIfPossible();
 
     // Graph init if available
@@ -592,6 +1497,13 @@
       }
     });
 
+    // pause a running test while the window is in the background; typing resumes it
+    window.addEventListener('blur', () => {
+      if (has.Typing && typeof Typing.pause === 'function') {
+        try { Typing.pause(); } catch (e) {}
+      }
+    });
+
     // Click word area focuses input
     if (el.wordStream) {
       el.wordStream.addEventListener('click', focusInputSilently);
@@ -599,6 +1511,20 @@
 
     // initial HUD update
     updateHud({ timeLeft: (has.Timer && Timer.getProgress) ? Math.round((1 - Timer.getProgress())* (Timer.getProgress && Timer.getProgress())) : null, accuracy: null });
+
+    // Typing init last so the word list is generated with the final mode/settings
+    if (has.Typing && typeof Typing.init === 'function') {
+      try { Typing.init(); } catch (e) { console.warn('[main] Typing.init failed', e); }
+    }
+
+    // regenerate once the saved language pack has loaded, unless a test already started
+    if (has.Modes && has.Typing && Modes.loadLanguage) {
+      Modes.loadLanguage(Modes.getLanguage()).then(ok => {
+        if (ok && !Typing.isRunning()) {
+          try { Typing.reset(); } catch (e) {}
+        }
+      });
+    }
     console.log('%c[main] SebType main.js initialized', 'color:#37e67d');
   }
 
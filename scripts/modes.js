@@ -5,10 +5,25 @@
 // - Modes.init(opts)
 // - Modes.setMode(modeName)
 // - Modes.getMode()
-// - Modes.generate(count)
+// - Modes.generate(count, { seed }), Modes.createStream({ seed }) -> { seed, next(count) }
+// - Modes.newSeed() / Modes.getSeed()
 // - Modes.getCurrentDictionary()
+// - Modes.setModifiers({ punctuation, numbers }) / Modes.getModifiers()
+// - Modes.loadQuotes() -> Promise, Modes.getQuote(), Modes.setQuoteLength(cat), Modes.isFixedText()
+// - Modes.setLanguage(id) -> Promise, Modes.getLanguage(), Modes.getActiveLanguage(), Modes.availableLanguages()
+// - Modes.addCustomDictionary(name, arr, { text, ordered, repeat }) / Modes.removeCustomDictionary(name)
+// - Modes.saveCustomText(name, text, opts) / Modes.deleteCustomText(id) / Modes.getCustomTexts()
+// - Modes.normalizeText(text, { normalize, stripPunctuation })
+// - Modes.loadSnippets() -> Promise, Modes.getSnippet(), Modes.setCodeLanguage(lang), Modes.isCode()
+// - Modes.registerMode({ id, name, description, generate, options, fixed, load }) / Modes.unregisterMode(id)
+// - Modes.loadMode(id) -> Promise, Modes.setModeOptions(id, values) / Modes.getModeOptions(id),
+//   Modes.getModeOptionSpecs(id)
+// - Modes.registerFunbox(id, def), Modes.setFunboxes(ids) / Modes.getFunboxes(), Modes.availableFunboxes(),
+//   Modes.getFunboxRender()
 // Includes dictionaries for english, numbers, and quotes and supports custom dictionaries.
-// Contains helper utilities for shuffling, generating numeric tokens, and creating quote fragments.
+// The setters for modifiers, funboxes, language, quote length, code language and mode options are
+// driven by Settings, which keeps them in sync with the saved preferences.
+// Contains helper utilities for shuffling, generating numeric tokens, and picking quotes.
 
 (function (global) {
   const DEFAULT_ENGLISH = [
@@ -23,20 +38,70 @@
   ]
 
   const DEFAULT_QUOTES = [
-    "To be or not to be, that is the question",
-    "I think therefore I am",
-    "All that glitters is not gold",
-    "The only limit to our realization of tomorrow is our doubts of today",
-    "Life is what happens when you're busy making other plans",
-    "Get busy living or get busy dying",
-    "Not everything that is faced can be changed, but nothing can be changed until it is faced"
+    { id: 1, text: "To be, or not to be, that is the question.", source: "William Shakespeare, Hamlet" },
+    { id: 2, text: "I think, therefore I am.", source: "Rene Descartes, Discourse on the Method" },
+    { id: 3, text: "All that glisters is not gold.", source: "William Shakespeare, The Merchant of Venice" },
+    { id: 4, text: "The only limit to our realization of tomorrow will be our doubts of today.", source: "Franklin D. Roosevelt" },
+    { id: 5, text: "Life is what happens to you while you're busy making other plans.", source: "John Lennon, Beautiful Boy" },
+    { id: 6, text: "Get busy living, or get busy dying.", source: "Stephen King, Rita Hayworth and Shawshank Redemption" },
+    { id: 7, text: "Not everything that is faced can be changed, but nothing can be changed until it is faced.", source: "James Baldwin" }
   ]
 
+  // quotes ({ id, text, source }) load on first use; DEFAULT_QUOTES (same ids) cover the time before
+  const QUOTES_URL = 'assets/quotes/english.json'
+  // language packs (<id>.json, words ordered by frequency) are fetched on demand and cached;
+  // DEFAULT_ENGLISH stands in until the selected one is loaded
+  const LANGUAGES_DIR = 'assets/languages/'
+  const SNIPPETS_URL = 'assets/code/snippets.json'
+  const CODE_LANGUAGES = ['all', 'javascript', 'python', 'json', 'shell']
+  // saved custom texts, registered as 'custom:<name>' modes
+  const CUSTOM_TEXTS_KEY = Store.KEYS.customTexts
+  const MAX_CUSTOM_TEXT_CHARS = 20000
+  // words a stream (or a generate() without a count) draws from its mode at a time, so the first render stays small
+  const STREAM_BATCH = 100
+
+  // bundled language packs; the id is the file name
+  const LANGUAGES = {
+    english: 'English 200',
+    english_1k: 'English 1k',
+    english_10k: 'English 8k',     // 8079 words; the id predates the count
+    spanish: 'Spanish',
+    french: 'French',
+    german: 'German',
+    portuguese: 'Portuguese'
+  }
+
+  // quote length categories by character count; 'thirty' is about thirty seconds at 60 wpm
+  const QUOTE_LENGTHS = {
+    all: [0, Infinity],
+    short: [0, 100],
+    medium: [101, 300],
+    long: [301, Infinity],
+    thirty: [120, 180]
+  }
+
   // Helpers
+  // mulberry32: small, fast 32-bit PRNG returning floats in [0, 1)
+  function mulberry32(seed) {
+    let a = seed >>> 0
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0
+      let t = a
+      t = Math.imul(t ^ (t >>> 15), t | 1)
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+  }
+
+  // all randomness comes from this PRNG: generate() with a seed restarts it, without one it continues,
+  // so the same seed and settings give the same words. Streams swap in a PRNG of their own.
+  let seed = 0
+  let random = mulberry32(seed)
+
   function shuffle(arr) {
     const a = arr.slice()
     for (let i = a.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1))
+      const j = Math.floor(random() * (i + 1))
       ;[a[i], a[j]] = [a[j], a[i]]
     }
     return a
@@ -48,71 +113,395 @@
     if (!arr || !arr.length) return []
     const out = []
     while (out.length < n) {
-      out.push(arr[Math.floor(Math.random() * arr.length)])
+      out.push(arr[Math.floor(random() * arr.length)])
     }
     return out
   }
 
-  // numeric token generator (mix of single digits, numbers, and small combos)
-  function generateNumbers(count) {
+  // integer in [lo, hi]
+  function randInt(lo, hi) { return lo + Math.floor(random() * (hi - lo + 1)) }
+
+  function pad(n, width) { return String(n).padStart(width, '0') }
+
+  // numbers mode formats (its `format` option), shaped like real data entry
+  const NUMBER_FORMATS = {
+    // single digits, numbers, and small combos
+    mixed: () => {
+      const r = random()
+      if (r < 0.5) return String(Math.floor(random() * 10)) // 0-9
+      if (r < 0.85) return String(Math.floor(random() * 100)) // 0-99
+      return String(Math.floor(random() * 10000)) // 0-9999
+    },
+    decimals: () => (random() * Math.pow(10, randInt(1, 4))).toFixed(randInt(1, 3)),
+    negatives: () => {
+      const n = random() < 0.3 ? (random() * 1000).toFixed(2) : String(randInt(1, 9999))
+      return random() < 0.6 ? `-${n}` : n
+    },
+    thousands: () => {
+      const n = String(randInt(1000, Math.pow(10, randInt(4, 7)) - 1)).replace(/\B(?=(\d{3})+(?!\d))/g, ',')
+      return random() < 0.3 ? `${n}.${pad(randInt(0, 99), 2)}` : n
+    },
+    phone: () => {
+      const r = random()
+      const area = randInt(200, 989)
+      const line = `${randInt(200, 999)}-${pad(randInt(0, 9999), 4)}`
+      if (r < 0.6) return `${area}-${line}`
+      if (r < 0.8) return `+1-${area}-${line}`
+      return `${area}.${line.replace('-', '.')}`
+    },
+    datetime: () => {
+      const y = randInt(1990, 2035)
+      const m = pad(randInt(1, 12), 2)
+      const d = pad(randInt(1, 28), 2)
+      const r = random()
+      if (r < 0.35) return `${y}-${m}-${d}`
+      if (r < 0.6) return `${d}/${m}/${y}`
+      if (r < 0.8) return `${pad(randInt(0, 23), 2)}:${pad(randInt(0, 59), 2)}`
+      return `${pad(randInt(0, 23), 2)}:${pad(randInt(0, 59), 2)}:${pad(randInt(0, 59), 2)}`
+    },
+    hex: () => {
+      const digits = Array.from({ length: [2, 4, 6, 8][randInt(0, 3)] }, () => randInt(0, 15).toString(16)).join('')
+      const r = random()
+      if (r < 0.4) return `0x${digits}`
+      if (r < 0.6 && digits.length === 6) return `#${digits}`
+      return digits
+    },
+    ip: () => [randInt(1, 223), randInt(0, 255), randInt(0, 255), randInt(1, 254)].join('.')
+  }
+
+  // numeric tokens in one of NUMBER_FORMATS
+  function generateNumbers(count, format = 'mixed') {
+    const make = NUMBER_FORMATS[format] || NUMBER_FORMATS.mixed
+    const out = []
+    for (let i = 0; i < count; i++) out.push(make())
+    return out
+  }
+
+  // draw n items with replacement, probability proportional to weights
+  function weightedSample(arr, weights, n) {
+    const total = weights.reduce((a, b) => a + b, 0)
+    if (!total) return sample(arr, n)
     const out = []
-    for (let i = 0; i < count; i++) {
-      const r = Math.random()
-      if (r < 0.5) out.push(String(Math.floor(Math.random() * 10))) // 0-9
-      else if (r < 0.85) out.push(String(Math.floor(Math.random() * 100))) // 0-99
-      else out.push(String(Math.floor(Math.random() * 10000))) // 0-9999
+    while (out.length < n) {
+      let r = random() * total
+      let i = 0
+      while (r >= weights[i] && i < arr.length - 1) r -= weights[i++]
+      out.push(arr[i])
     }
     return out
   }
 
-  function wordsFromQuotes(count) {
-    // return word fragments sampled from quote corpus
-    const words = []
-    // split quotes and flatten
-    const parts = DEFAULT_QUOTES.map(q => q.replace(/[^\w\s']/g, '').split(/\s+/)).flat()
-    for (let i = 0; i < count; i++) {
-      words.push(parts[Math.floor(Math.random() * parts.length)])
+  // runs the adaptive mode looks back over; older mistakes stop counting as keys improve
+  const ADAPTIVE_RECENT_RUNS = 50
+  // keys/bigrams need this many presses before their stats are trusted
+  const ADAPTIVE_MIN_SAMPLES = 8
+
+  // extra weight (>= 0) per key from error rate and slowness relative to the user's average
+  function weaknessWeights(stats) {
+    const keys = Object.keys(stats).filter(k => stats[k].total >= ADAPTIVE_MIN_SAMPLES)
+    const timed = keys.filter(k => stats[k].avgMs > 0)
+    const avgMs = timed.length ? timed.reduce((a, k) => a + stats[k].avgMs, 0) / timed.length : 0
+    const out = {}
+    keys.forEach(k => {
+      const s = stats[k]
+      const slow = avgMs && s.avgMs ? Math.max(0, s.avgMs / avgMs - 1) : 0
+      const w = s.errorRate * 10 + slow
+      if (w > 0) out[k] = w
+    })
+    return out
+  }
+
+  // words weighted by the user's weak keys and bigrams in Data's recent runs
+  function adaptiveWords(count) {
+    const Data = global.Data
+    const keyW = Data && Data.getKeyStats ? weaknessWeights(Data.getKeyStats({ recent: ADAPTIVE_RECENT_RUNS, excludeAfk: true })) : {}
+    const biW = Data && Data.getBigramStats ? weaknessWeights(Data.getBigramStats({ recent: ADAPTIVE_RECENT_RUNS, excludeAfk: true })) : {}
+    // no history yet: plain english
+    if (!Object.keys(keyW).length && !Object.keys(biW).length) return MODES.english.generate(count)
+    const pool = languagePool()
+    activeLanguage = poolLanguage()
+    const weights = pool.map(w => {
+      let score = 1
+      for (let i = 0; i < w.length; i++) {
+        score += keyW[w[i]] || 0
+        if (i) score += biW[w[i - 1] + w[i]] || 0
+      }
+      return score
+    })
+    return weightedSample(pool, weights, count)
+  }
+
+  // share of words replaced by a number when the numbers modifier is on
+  const NUMBERS_RATE = 0.15
+
+  function capitalize(w) { return w.charAt(0).toUpperCase() + w.slice(1) }
+
+  // sentence-style punctuation over plain words: capitalised starts, periods, question marks,
+  // commas, quotes, brackets and stand-alone dashes
+  function addPunctuation(words) {
+    let sentenceStart = true
+    const out = []
+    words.forEach((w, i) => {
+      if (!/^[\p{L}']+$/u.test(w)) {
+        out.push(w)
+        return
+      }
+      let word = sentenceStart ? capitalize(w) : w
+      const first = sentenceStart
+      sentenceStart = false
+      const r = random()
+      if (i === words.length - 1 || r < 0.08) {
+        word += '.'
+        sentenceStart = true
+      } else if (r < 0.11) {
+        word += '?'
+        sentenceStart = true
+      } else if (r < 0.18) word += ','
+      else if (r < 0.21) word = `"${word}"`
+      else if (r < 0.23) word = `(${word})`
+      else if (r < 0.25 && !first) out.push('-')
+      out.push(word)
+    })
+    return out
+  }
+
+  function addNumbers(words) {
+    return words.map(w => (random() < NUMBERS_RATE ? String(Math.floor(random() * 1000)) : w))
+  }
+
+  function fetchJson(url) {
+    if (typeof fetch !== 'function') return Promise.reject(new Error('fetch unavailable'))
+    return fetch(url).then(r => (r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`))))
+  }
+
+  // language id -> word list, filled as packs load
+  const languagePacks = {}
+  const languageLoading = {}
+
+  // language the last generate() drew words from (null when it used no language pool)
+  let activeLanguage = null
+
+  // words for the selected language, or the built-in list while its pack is loading
+  function languagePool() {
+    return languagePacks[Modes._language] || DEFAULT_ENGLISH
+  }
+
+  // the language of languagePool(): the selected one once its pack is in memory
+  function poolLanguage() {
+    return languagePacks[Modes._language] ? Modes._language : 'english'
+  }
+
+  // typographic characters mapped to what a keyboard types
+  const TYPOGRAPHIC = [
+    [/[\u2018\u2019\u201a\u201b\u2032]/g, "'"],
+    [/[\u201c\u201d\u201e\u201f\u2033]/g, '"'],
+    [/[\u2010-\u2015\u2212]/g, '-'],
+    [/\u2026/g, '...'],
+    [/[\u00a0\u2000-\u200a\u202f\u205f\u3000]/g, ' '],
+    [/[\u200b-\u200d\u2060\ufeff]/g, '']
+  ]
+
+  // collapse whitespace; optionally fold typographic punctuation to ASCII or drop punctuation
+  function normalizeText(text, { normalize = true, stripPunctuation = false } = {}) {
+    let out = String(text || '')
+    if (normalize) TYPOGRAPHIC.forEach(([re, ch]) => { out = out.replace(re, ch) })
+    if (stripPunctuation) {
+      // keep apostrophes and hyphens inside words (don't, well-known)
+      out = out.replace(/[^\p{L}\p{N}\s'-]/gu, ' ').replace(/(^|\s)['-]+|['-]+(?=\s|$)/g, '$1')
     }
-    return words
+    return out.replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim()
+  }
+
+  // one play-through of a custom text: each pass in order or reshuffled
+  function customTextWords(entry) {
+    const out = []
+    for (let i = 0; i < entry.repeat; i++) out.push(...(entry.ordered ? entry.words : shuffle(entry.words)))
+    return out
+  }
+
+  // split source into typing tokens: blank lines dropped, runs of spaces inside a line collapsed,
+  // one '\t' per indent level on a line's first token and '\n' on its last (except the final line)
+  function codeTokens(code) {
+    const lines = String(code).replace(/\r\n?/g, '\n').split('\n').filter(l => l.trim())
+    const lead = lines.map(l => l.match(/^[ \t]*/)[0])
+    const spaced = lead.filter(w => w && !w.includes('\t')).map(w => w.length)
+    const unit = spaced.length ? Math.min(...spaced) : 4
+    const out = []
+    lines.forEach((line, i) => {
+      const level = lead[i].includes('\t') ? lead[i].split('\t').length - 1 : Math.round(lead[i].length / unit)
+      const tokens = line.trim().split(/\s+/)
+      tokens[0] = '\t'.repeat(level) + tokens[0]
+      if (i < lines.length - 1) tokens[tokens.length - 1] += '\n'
+      out.push(...tokens)
+    })
+    return out
+  }
+
+  // built-in snippet so code mode works before (or without) the bundled file
+  const DEFAULT_SNIPPETS = [
+    { id: 1, language: 'javascript', title: 'debounce', code: 'function debounce(fn, wait) {\n  let timer = null;\n  return (...args) => {\n    clearTimeout(timer);\n    timer = setTimeout(() => fn(...args), wait);\n  };\n}' }
+  ]
+  let snippets = DEFAULT_SNIPPETS
+  let snippetsLoading = null
+
+  function pickSnippet(language) {
+    let pool = language === 'all' ? snippets : snippets.filter(s => s.language === language)
+    if (!pool.length) pool = snippets
+    return pool[Math.floor(random() * pool.length)]
+  }
+
+  // quote collection in use (DEFAULT_QUOTES until the bundled file is loaded)
+  let quotes = DEFAULT_QUOTES
+  let quotesLoading = null
+
+  // pick a quote from the length category; depends only on the PRNG so a seed always gives the same quote
+  function pickQuote(category) {
+    const [lo, hi] = QUOTE_LENGTHS[category] || QUOTE_LENGTHS.all
+    let pool = quotes.filter(q => q.text.length >= lo && q.text.length <= hi)
+    if (!pool.length) pool = quotes
+    return pool[Math.floor(random() * pool.length)]
   }
 
   // Mode definitions
   const MODES = {
     english: {
       id: 'english',
-      name: 'English',
-      description: 'Standard common-word typing test',
+      name: 'Words',
+      description: 'Common words from the selected language',
       generate: (count, opts = {}) => {
         // smarter english generation: ensure variety and reasonable punctuation occasionally
-        const pool = DEFAULT_ENGLISH.slice()
+        const pool = languagePool().slice()
+        activeLanguage = poolLanguage()
         // produce a shuffled repeated array to reach count
         const out = []
         while (out.length < count) {
           out.push(...shuffle(pool))
         }
-        // trim and occasionally insert short punctuation fragments
-        const trimmed = out.slice(0, count).map((w, i) => {
-          // occasionally add an apostrophe contraction or comma
-          if (Math.random() < 0.03) {
-            if (w.length > 2) return w + "'" + (Math.random() < 0.5 ? 's' : 't')
-          }
-          if (Math.random() < 0.02) return w + ','
-          return w
-        })
-        return trimmed
+        // punctuation is left to the punctuation modifier
+        return out.slice(0, count)
       }
     },
     numbers: {
       id: 'numbers',
       name: 'Numbers',
-      description: 'Numeric tokens: digits and numbers',
-      generate: (count, opts = {}) => generateNumbers(count)
+      description: 'Numeric tokens: digits, decimals, phone numbers, dates, hex, IPs and more',
+      options: {
+        format: { label: 'Format', type: 'select', choices: Object.keys(NUMBER_FORMATS), default: 'mixed' }
+      },
+      generate: (count, opts = {}) => generateNumbers(count, (opts.options || {}).format)
     },
     quotes: {
       id: 'quotes',
       name: 'Quotes',
-      description: 'Fragments sampled from famous quotes',
-      generate: (count, opts = {}) => wordsFromQuotes(count)
+      description: 'Type one complete quote, punctuation included',
+      fixed: true,
+      load: () => Modes.loadQuotes(),
+      generate: (count, opts = {}) => {
+        Modes._quote = pickQuote(Modes._quoteLength)
+        return Modes._quote.text.split(/\s+/)
+      }
+    },
+    code: {
+      id: 'code',
+      name: 'Code',
+      description: 'Real source snippets with newlines and indentation',
+      fixed: true,
+      load: () => Modes.loadSnippets(),
+      generate: (count, opts = {}) => {
+        Modes._snippet = pickSnippet(Modes._codeLanguage)
+        return codeTokens(Modes._snippet.code)
+      }
+    },
+    adaptive: {
+      id: 'adaptive',
+      name: 'Weak Keys',
+      description: 'Practice words built around your most error-prone and slowest keys',
+      generate: (count, opts = {}) => adaptiveWords(count)
+    }
+  }
+
+  // modes registerMode() may not replace
+  const BUILT_IN_MODES = Object.keys(MODES)
+  const OPTION_TYPES = ['number', 'boolean', 'select', 'text']
+
+  // registerMode() option schema -> { key: { label, type, default, min, max, choices } }
+  function normalizeOptions(options) {
+    const out = {}
+    Object.keys(options || {}).forEach(key => {
+      const o = options[key] || {}
+      const type = OPTION_TYPES.includes(o.type) ? o.type : 'text'
+      const spec = { label: String(o.label || key), type }
+      if (type === 'number') {
+        spec.min = Number.isFinite(Number(o.min)) ? Number(o.min) : -Infinity
+        spec.max = Number.isFinite(Number(o.max)) ? Number(o.max) : Infinity
+      }
+      if (type === 'select') {
+        spec.choices = Array.isArray(o.choices) ? o.choices.map(String) : []
+        if (!spec.choices.length) throw new Error(`option ${key} needs choices`)
+      }
+      spec.default = coerceOption(Object.assign({}, spec, { default: null }), o.default)
+      out[key] = spec
+    })
+    return out
+  }
+
+  // a stored option value checked against its spec, or the spec's default
+  function coerceOption(spec, value) {
+    if (spec.type === 'number') {
+      const n = Number(value)
+      if (value === '' || value == null || !Number.isFinite(n)) return spec.default != null ? spec.default : clamp(0, spec.min, spec.max)
+      return clamp(n, spec.min, spec.max)
+    }
+    if (spec.type === 'boolean') return typeof value === 'boolean' ? value : !!spec.default
+    if (spec.type === 'select') return spec.choices.includes(String(value)) ? String(value) : (spec.default != null ? spec.default : spec.choices[0])
+    return value == null ? (spec.default != null ? spec.default : '') : String(value)
+  }
+
+  // word length limit of the short words funbox
+  const FUNBOX_MAX_WORD_LENGTH = 5
+
+  // apply fn to a token without its leading tabs and trailing newline (code layout, see codeTokens)
+  function mapCore(w, fn) {
+    const m = w.match(/^(\t*)([\s\S]*?)(\n?)$/)
+    return m[1] + fn(m[2]) + m[3]
+  }
+
+  // stackable modifiers over any mode. A funbox can `filter` generated words (the list is topped up to
+  // the requested count), transform them with `words(list)` after punctuation and numbers, and/or
+  // name a `render` flag the word stream reacts to (ui.js). Fixed texts only get the `words` of
+  // funboxes marked `fixed: true`, applied without touching a code token's layout.
+  const FUNBOXES = {
+    random_case: {
+      name: 'Random case',
+      description: 'Letters are randomly upper or lower case',
+      fixed: true,
+      words: list => list.map(w => mapCore(w, core => core.replace(/[a-z]/gi, c => (random() < 0.5 ? c.toUpperCase() : c.toLowerCase()))))
+    },
+    mirror: {
+      name: 'Mirror',
+      description: 'Every word is written backwards',
+      fixed: true,
+      words: list => list.map(w => mapCore(w, core => Array.from(core).reverse().join('')))
+    },
+    short_words: {
+      name: 'Short words',
+      description: `Only words of up to ${FUNBOX_MAX_WORD_LENGTH} characters`,
+      filter: w => w.length <= FUNBOX_MAX_WORD_LENGTH
+    },
+    memory: {
+      name: 'Memory',
+      description: 'The words disappear a few seconds after they are shown',
+      render: 'memory'
+    },
+    hidden: {
+      name: 'Hidden',
+      description: 'What you type is not shown',
+      render: 'hidden'
+    },
+    read_ahead: {
+      name: 'Read ahead',
+      description: 'The current word is blurred',
+      render: 'read-ahead'
     }
   }
 
@@ -120,10 +509,18 @@
   const Modes = {
     _current: 'english',
     _customDictionaries: {},
-    _seedSize: 250,
+    _modifiers: { punctuation: false, numbers: false },
+    _funboxes: [],
+    // per-mode option values as set (Settings 'modeOptions'); read through getModeOptions()
+    _modeOptions: {},
+    _quoteLength: 'all',
+    _language: 'english',
+    _codeLanguage: 'all',
+    _snippet: null,
+    _quote: null,
     init(opts = {}) {
-      this._seedSize = opts.seedSize || this._seedSize
       this._current = opts.mode || this._current
+      this._loadCustomTexts()
       console.log('%c[Modes] initialized', 'color:#37e67d')
     },
 
@@ -131,7 +528,7 @@
 
     // set mode and return generated preview
     setMode(mode) {
-      if (!MODES[mode]) {
+      if (!MODES[mode] && !this._customDictionaries[mode]) {
         console.warn('[Modes] unknown mode', mode)
         return
       }
@@ -140,45 +537,417 @@
       if (global.UI && typeof global.UI.onModeChange === 'function') {
         try { global.UI.onModeChange(mode) } catch (e) {}
       }
-      return this.generate(10) // nice preview
+    },
+
+    // add a mode from outside this file; returns its id. generate(count, ctx) returns a word list, where
+    // ctx is { options, random }: the mode's option values and the seeded PRNG (use it instead of
+    // Math.random so retries give the same words). `options` declares per-mode settings as
+    // { key: { label, type: 'number' | 'boolean' | 'select' | 'text', default, min, max, choices } };
+    // Settings keeps the values ('modeOptions') and the Modes panel shows them. load() may return a
+    // Promise that fetches data before the first test.
+    registerMode(def = {}) {
+      const id = def.id
+      if (!id || typeof id !== 'string') throw new Error('Mode id required')
+      if (BUILT_IN_MODES.includes(id) || this._customDictionaries[id]) throw new Error(`Mode ${id} already exists`)
+      if (typeof def.generate !== 'function') throw new Error(`Mode ${id} needs generate(count, ctx)`)
+      const generate = def.generate
+      MODES[id] = {
+        id,
+        name: String(def.name || id),
+        description: String(def.description || ''),
+        fixed: !!def.fixed,
+        registered: true,
+        options: normalizeOptions(def.options),
+        load: typeof def.load === 'function' ? def.load : null,
+        // a broken mode falls back to plain words rather than an empty test
+        generate: (count, ctx) => {
+          try {
+            const out = generate(count, ctx)
+            if (!Array.isArray(out)) throw new Error('generate() must return an array')
+            const words = out.map(w => String(w).trim()).filter(Boolean)
+            if (!words.length) throw new Error('generate() returned no words')
+            return words
+          } catch (e) {
+            console.warn(`[Modes] mode ${id} failed, using plain words`, e)
+            return MODES['english'].generate(count)
+          }
+        }
+      }
+      return id
+    },
+
+    unregisterMode(id) {
+      if (!MODES[id] || !MODES[id].registered) return false
+      delete MODES[id]
+      if (this._current === id) this.setMode('english')
+      return true
+    },
+
+    // run a mode's load() once; resolves when its data is ready (a failure is logged and retried next time)
+    loadMode(id = this._current) {
+      const def = MODES[id]
+      if (!def || !def.load) return Promise.resolve()
+      if (!def.loading) {
+        def.loading = Promise.resolve()
+          .then(() => def.load())
+          .catch(e => {
+            console.warn(`[Modes] failed to load mode ${id}`, e)
+            def.loading = null
+          })
+      }
+      return def.loading
+    },
+
+    // option values may arrive before the mode is registered; they are checked on read
+    setModeOptions(id, values = {}) {
+      if (!id || !values || typeof values !== 'object') return
+      this._modeOptions[id] = Object.assign({}, this._modeOptions[id], values)
+    },
+
+    getModeOptions(id = this._current) {
+      const specs = (MODES[id] && MODES[id].options) || {}
+      const stored = this._modeOptions[id] || {}
+      const out = {}
+      Object.keys(specs).forEach(key => { out[key] = coerceOption(specs[key], stored[key]) })
+      return out
+    },
+
+    // option schema of a mode ({} for modes without options)
+    getModeOptionSpecs(id = this._current) {
+      const specs = (MODES[id] && MODES[id].options) || {}
+      const out = {}
+      Object.keys(specs).forEach(key => {
+        out[key] = Object.assign({}, specs[key])
+        if (specs[key].choices) out[key].choices = specs[key].choices.slice()
+      })
+      return out
     },
 
     // allow adding custom dictionaries (e.g., user uploading a wordlist)
-    addCustomDictionary(name, arr) {
+    // `text: true` plays the words as a fixed text, `repeat` times, in order or reshuffled each pass;
+    // otherwise they are sampled endlessly
+    addCustomDictionary(name, arr, { text = false, ordered = true, repeat = 1, label = name } = {}) {
       if (!Array.isArray(arr)) throw new Error('dictionary must be array')
-      this._customDictionaries[name] = arr.slice()
+      const words = arr.map(w => String(w).trim()).filter(Boolean)
+      if (!words.length) throw new Error('dictionary is empty')
+      this._customDictionaries[name] = {
+        label: String(label),
+        words,
+        text: !!text,
+        ordered: !!ordered,
+        repeat: clamp(Math.floor(Number(repeat)) || 1, 1, 100)
+      }
     },
 
-    // generate N tokens/words according to current mode
-    generate(count = this._seedSize) {
-      const mode = this._current
-      if (this._customDictionaries[mode]) {
-        // sample from custom dictionary
-        return sample(this._customDictionaries[mode], count)
+    removeCustomDictionary(name) {
+      delete this._customDictionaries[name]
+      if (this._current === name) this._current = 'english'
+    },
+
+    normalizeText(text, opts) { return normalizeText(text, opts) },
+
+    // saved custom texts: [{ id, name, text, ordered, repeat }], text already normalised
+    getCustomTexts() {
+      return Store.read(CUSTOM_TEXTS_KEY, { fallback: [], validate: list => {
+        if (!Array.isArray(list)) throw new Error('custom text list expected')
+        return list.filter(t => t && t.id && typeof t.text === 'string')
+      } })
+    },
+
+    // normalise, persist and register a custom text; returns its mode id
+    saveCustomText(name, text, { ordered = true, repeat = 1, normalize = true, stripPunctuation = false } = {}) {
+      const label = String(name || '').trim().slice(0, 40)
+      if (!label) throw new Error('custom text needs a name')
+      const clean = normalizeText(String(text || '').slice(0, MAX_CUSTOM_TEXT_CHARS), { normalize, stripPunctuation })
+      if (!clean) throw new Error('custom text is empty')
+      const entry = {
+        id: `custom:${label}`,
+        name: label,
+        text: clean,
+        ordered: !!ordered,
+        repeat: clamp(Math.floor(Number(repeat)) || 1, 1, 100),
+        // the cleanup options it was saved with, so editing it starts from them
+        normalize: !!normalize,
+        stripPunctuation: !!stripPunctuation
+      }
+      const list = this.getCustomTexts().filter(t => t.id !== entry.id)
+      list.push(entry)
+      Store.write(CUSTOM_TEXTS_KEY, list)
+      this.addCustomDictionary(entry.id, clean.split(' '), { text: true, ordered: entry.ordered, repeat: entry.repeat, label })
+      return entry.id
+    },
+
+    deleteCustomText(id) {
+      Store.write(CUSTOM_TEXTS_KEY, this.getCustomTexts().filter(t => t.id !== id))
+      this.removeCustomDictionary(id)
+    },
+
+    _loadCustomTexts() {
+      this.getCustomTexts().forEach(t => {
+        try {
+          this.addCustomDictionary(t.id, t.text.split(' '), { text: true, ordered: t.ordered, repeat: t.repeat, label: t.name })
+        } catch (e) { /* skip broken entries */ }
+      })
+    },
+
+    // turn the punctuation/numbers modifiers on or off; omitted keys keep their value
+    setModifiers(mods = {}) {
+      if (typeof mods.punctuation === 'boolean') this._modifiers.punctuation = mods.punctuation
+      if (typeof mods.numbers === 'boolean') this._modifiers.numbers = mods.numbers
+    },
+
+    getModifiers() { return Object.assign({}, this._modifiers) },
+
+    // add a funbox ({ name, description, fixed, filter, words, render }, see FUNBOXES)
+    registerFunbox(id, def = {}) {
+      if (!id || typeof id !== 'string') throw new Error('Funbox id required')
+      FUNBOXES[id] = Object.assign({ name: id, description: '' }, def)
+    },
+
+    // active funboxes, in registry order; unknown ids are dropped
+    setFunboxes(ids = []) {
+      const wanted = Array.isArray(ids) ? ids : []
+      this._funboxes = Object.keys(FUNBOXES).filter(id => wanted.includes(id))
+    },
+
+    getFunboxes() { return this._funboxes.slice() },
+
+    availableFunboxes() {
+      return Object.keys(FUNBOXES).map(id => ({ id, name: FUNBOXES[id].name, desc: FUNBOXES[id].description }))
+    },
+
+    // render flags of the active funboxes, e.g. ['memory', 'hidden']
+    getFunboxRender() {
+      return this._funboxes.map(id => FUNBOXES[id].render).filter(Boolean)
+    },
+
+    // true when the current mode yields one complete text rather than a word stream (quotes, code, custom
+    // texts): typed in order without modifiers, and the test ends when it is typed
+    isFixedText() {
+      const custom = this._customDictionaries[this._current]
+      if (custom) return custom.text
+      const def = MODES[this._current]
+      return !!(def && def.fixed)
+    },
+
+    // quote length category: all | short | medium | long | thirty
+    setQuoteLength(cat) {
+      if (QUOTE_LENGTHS[cat]) this._quoteLength = cat
+    },
+
+    getQuoteLength() { return this._quoteLength },
+
+    // quote behind the last quotes-mode generate() ({ id, text, source }), or null
+    getQuote() { return this._current === 'quotes' && this._quote ? Object.assign({}, this._quote) : null },
+
+    // fetch the bundled quote collection once; resolves with the number of quotes available
+    loadQuotes() {
+      if (quotesLoading) return quotesLoading
+      quotesLoading = fetchJson(QUOTES_URL)
+        .then(json => {
+          const list = (json && Array.isArray(json.quotes) ? json.quotes : [])
+            .filter(q => q && q.id != null && typeof q.text === 'string' && q.text.trim())
+            .map(q => ({ id: q.id, text: q.text.trim(), source: String(q.source || '') }))
+          if (list.length) quotes = list
+          return quotes.length
+        })
+        .catch(e => {
+          console.warn('[Modes] failed to load quotes, using built-in set', e)
+          quotesLoading = null
+          return quotes.length
+        })
+      return quotesLoading
+    },
+
+    // true when the current mode types source code (newline/indent tokens, see codeTokens)
+    isCode() { return this._current === 'code' },
+
+    // code snippet language: all | javascript | python | json | shell
+    setCodeLanguage(lang) {
+      if (CODE_LANGUAGES.includes(lang)) this._codeLanguage = lang
+    },
+
+    getCodeLanguage() { return this._codeLanguage },
+
+    // snippet behind the last code-mode generate() ({ id, language, title, code }), or null
+    getSnippet() { return this._current === 'code' && this._snippet ? Object.assign({}, this._snippet) : null },
+
+    // fetch the bundled snippets once; resolves with the number available
+    loadSnippets() {
+      if (snippetsLoading) return snippetsLoading
+      snippetsLoading = fetchJson(SNIPPETS_URL)
+        .then(json => {
+          const list = (json && Array.isArray(json.snippets) ? json.snippets : [])
+            .filter(s => s && s.id != null && typeof s.code === 'string' && s.code.trim())
+            .map(s => ({ id: s.id, language: String(s.language || 'javascript'), title: String(s.title || ''), code: s.code }))
+          if (list.length) snippets = list
+          return snippets.length
+        })
+        .catch(e => {
+          console.warn('[Modes] failed to load code snippets, using built-in set', e)
+          snippetsLoading = null
+          return snippets.length
+        })
+      return snippetsLoading
+    },
+
+    // select a language pack; resolves once its words are available
+    setLanguage(id) {
+      if (!LANGUAGES[id]) {
+        console.warn('[Modes] unknown language', id)
+        return Promise.resolve(false)
       }
+      this._language = id
+      return this.loadLanguage(id)
+    },
+
+    getLanguage() { return this._language },
+
+    // language of the words the last generate() actually used; differs from getLanguage() while the
+    // selected pack is loading or failed to load
+    getActiveLanguage() { return activeLanguage || this._language },
+
+    availableLanguages() {
+      return Object.keys(LANGUAGES).map(id => ({ id, name: LANGUAGES[id], loaded: !!languagePacks[id] }))
+    },
+
+    // fetch a pack once and cache it; resolves true when its words are in memory
+    loadLanguage(id) {
+      if (languagePacks[id]) return Promise.resolve(true)
+      if (languageLoading[id]) return languageLoading[id]
+      languageLoading[id] = fetchJson(`${LANGUAGES_DIR}${id}.json`)
+        .then(json => {
+          const words = (json && Array.isArray(json.words) ? json.words : [])
+            .map(w => String(w).trim())
+            .filter(Boolean)
+          if (!words.length) throw new Error('empty word list')
+          languagePacks[id] = words
+          return true
+        })
+        .catch(e => {
+          console.warn(`[Modes] failed to load language ${id}, using built-in words`, e)
+          delete languageLoading[id]
+          return false
+        })
+      return languageLoading[id]
+    },
+
+    // fresh 32-bit seed for a new test
+    newSeed() { return Math.floor(Math.random() * 4294967296) },
+
+    // seed of the last seeded generate()
+    getSeed() { return seed },
+
+    // generate N tokens/words according to current mode; a seed restarts the PRNG
+    generate(count = STREAM_BATCH, opts = {}) {
+      if (opts.seed != null && Number.isFinite(Number(opts.seed))) {
+        seed = Number(opts.seed) >>> 0
+        random = mulberry32(seed)
+      }
+      const mode = this._current
+      const custom = this._customDictionaries[mode]
       const def = MODES[mode]
-      if (!def) return MODES['english'].generate(count)
-      return def.generate(count)
+      activeLanguage = null
+      // custom texts and fixed modes are typed as written, apart from layout-safe funboxes
+      if (custom && custom.text) return this._fixedFunboxes(customTextWords(custom))
+      const ctx = { options: this.getModeOptions(mode), random }
+      if (!custom && def && def.fixed) return this._fixedFunboxes(def.generate(count, ctx))
+      const draw = n => (custom ? sample(custom.words, n) : (def || MODES['english']).generate(n, ctx))
+      const filters = this._funboxes.map(id => FUNBOXES[id].filter).filter(Boolean)
+      let words = draw(count)
+      if (filters.length) {
+        const keep = w => filters.every(f => f(w))
+        let kept = words.filter(keep)
+        // top up from the same mode; give up on pools with (almost) nothing that passes
+        for (let tries = 0; kept.length < count && tries < 10; tries++) kept = kept.concat(draw(count).filter(keep))
+        if (kept.length) words = kept.slice(0, count)
+      }
+      return this.postProcess(words)
+    },
+
+    // apply the active modifiers, then funbox transforms, to a generated word list
+    postProcess(words) {
+      let out = words
+      if (this._modifiers.numbers) out = addNumbers(out)
+      if (this._modifiers.punctuation) out = addPunctuation(out)
+      this._funboxes.forEach(id => { if (FUNBOXES[id].words) out = FUNBOXES[id].words(out) })
+      return out
+    },
+
+    _fixedFunboxes(words) {
+      let out = words
+      this._funboxes.forEach(id => { if (FUNBOXES[id].fixed && FUNBOXES[id].words) out = FUNBOXES[id].words(out) })
+      return out
     },
 
     // get dictionary (for UI preview)
     getCurrentDictionary() {
       const mode = this._current
-      if (this._customDictionaries[mode]) return this._customDictionaries[mode]
+      if (this._customDictionaries[mode]) return this._customDictionaries[mode].words.slice()
+      // don't advance the current quote/snippet just to preview
+      if (mode === 'code') return snippets.map(s => s.code)
+      if (mode === 'quotes') return quotes.map(q => q.text)
       if (MODES[mode] && MODES[mode].generate) {
         // generate a small sample
-        return MODES[mode].generate(100)
+        return MODES[mode].generate(100, { options: this.getModeOptions(mode), random })
       }
-      return DEFAULT_ENGLISH
+      return languagePool()
     },
 
     availableModes() {
-      return Object.keys(MODES).map(k => ({ id: k, name: MODES[k].name, desc: MODES[k].description }))
+      const builtIn = Object.keys(MODES).map(k => ({
+        id: k,
+        name: MODES[k].name,
+        desc: MODES[k].description,
+        registered: !!MODES[k].registered,
+        options: Object.keys(MODES[k].options || {}).length > 0
+      }))
+      const custom = Object.keys(this._customDictionaries).map(k => {
+        const c = this._customDictionaries[k]
+        return { id: k, name: c.label, desc: c.text ? 'Custom text' : 'Custom word list', custom: true }
+      })
+      return builtIn.concat(custom)
     },
 
-    // utility to set seed size
-    setSeedSize(n) {
-      this._seedSize = clamp(Math.floor(n), 20, 5000)
+    // lazy word source for one endless test; next(count) returns the following words.
+    // The mode is always drawn in STREAM_BATCH chunks and next() hands out words from that buffer, so
+    // a seed gives the same sequence however many words each call asks for.
+    createStream({ seed: streamSeed = this.newSeed() } = {}) {
+      const self = this
+      const own = Number(streamSeed) >>> 0
+      const rand = mulberry32(own)
+      const buffer = []
+      seed = own
+      return {
+        seed: own,
+        next(count = STREAM_BATCH) {
+          const n = Math.max(1, Math.floor(Number(count)) || STREAM_BATCH)
+          const shared = random
+          random = rand
+          try {
+            while (buffer.length < n) {
+              const batch = self.generate(STREAM_BATCH)
+              // a mode that returns nothing would loop forever
+              if (!batch.length) break
+              buffer.push(...batch)
+            }
+          } finally {
+            random = shared
+          }
+          return buffer.splice(0, n)
+        }
+      }
+    },
+
+    // debug helper - true when a seed streams the same words in different batch sizes
+    debugStreamCheck(streamSeed = this.newSeed(), total = 500) {
+      const read = size => {
+        const s = this.createStream({ seed: streamSeed })
+        const out = []
+        while (out.length < total) out.push(...s.next(size))
+        return out.slice(0, total).join(' ')
+      }
+      return [1, 7, 50, 333].every(size => read(size) === read(STREAM_BATCH))
     },
 
     // debug helper - prints some sample sets
@@ -0,0 +1,94 @@
+// scripts/replay.js
+// SebType replay player
+// Exposes global `Replay` that animates a recorded run back through UI.renderWordStream:
+// - Replay.play(record, { speed = 1, onEnd })   record needs `keylog` and `targetWords` (see data.js)
+// - Replay.stop()
+// - Replay.isPlaying()
+// - Replay.canReplay(record)
+// Events are scheduled at their recorded offsets divided by `speed` (0.5, 1, 2 ...).
+
+(function (global) {
+  let timer = null
+  let playing = false
+  let endCb = null
+
+  function _render(words, index, typed) {
+    // code tokens: drop the line break, and the indentation unless it was typed (auto-indent off)
+    let word = (words[index] || '').replace(/\n$/, '')
+    if (!typed.startsWith('\t')) word = word.replace(/^\t+/, '')
+    const chars = []
+    for (let i = 0; i < Math.max(word.length, typed.length); i++) {
+      if (i >= word.length) chars.push('extra')
+      else if (i >= typed.length) chars.push('pending')
+      else chars.push(typed[i] === word[i] ? 'correct' : 'incorrect')
+    }
+    if (global.UI && typeof global.UI.renderWordStream === 'function') {
+      global.UI.renderWordStream({ index, word, typed, chars, context: words })
+    }
+  }
+
+  function _finish() {
+    timer = null
+    playing = false
+    const cb = endCb
+    endCb = null
+    if (typeof cb === 'function') {
+      try { cb() } catch (e) { console.warn('[Replay] onEnd threw', e) }
+    }
+  }
+
+  const Replay = {
+    canReplay(rec) {
+      return !!(rec && Array.isArray(rec.keylog) && rec.keylog.length && Array.isArray(rec.targetWords) && rec.targetWords.length)
+    },
+
+    play(rec, { speed = 1, onEnd = null } = {}) {
+      this.stop()
+      if (!this.canReplay(rec)) {
+        console.warn('[Replay] record has no keylog to replay')
+        return false
+      }
+      const words = rec.targetWords
+      const log = rec.keylog
+      const rate = Number(speed) > 0 ? Number(speed) : 1
+      let index = 0
+      let typed = ''
+      let i = 0
+      playing = true
+      endCb = onEnd
+      _render(words, index, typed)
+
+      // apply every event that is due, then sleep until the next one
+      const step = () => {
+        const [t, key, wordIndex, kind] = log[i]
+        if (wordIndex !== index) {
+          index = wordIndex
+          typed = ''
+        }
+        if (kind === 'b') typed = typed.slice(0, -1)
+        else if (key === ' ' || key === '\n') {
+          index++
+          typed = ''
+        } else typed += key
+        _render(words, index, typed)
+        i++
+        if (i >= log.length) return _finish()
+        timer = setTimeout(step, Math.max(0, (log[i][0] - t) / rate))
+      }
+      timer = setTimeout(step, Math.max(0, log[0][0] / rate))
+      return true
+    },
+
+    // stop without calling onEnd
+    stop() {
+      if (timer) clearTimeout(timer)
+      timer = null
+      playing = false
+      endCb = null
+    },
+
+    isPlaying() { return playing }
+  }
+
+  global.Replay = Replay
+})(window)
@@ -6,20 +6,31 @@
 // - Settings.set(key, value)
 // - Settings.toggle(key)
 // - Settings.applyAll()
-// Persists to localStorage under 'sebtype:settings'
+// Persists through Store (storage.js) under 'sebtype:settings:v1'; values are checked on load
 // Also provides UI-binding helpers to wire toggles, selects, and saves automatically.
 
 (function (global) {
-  const STORAGE_KEY = 'sebtype:settings:v1'
+  const STORAGE_KEY = Store.KEYS.settings
 
   // default preferences
   const DEFAULTS = {
     theme: 'dark',            // dark | light
     sound: false,             // keypress sound
     showWPMGraph: true,
+    graphSmoothing: false,    // moving average on the results graph lines
     animation: true,
-    difficulty: 'normal',     // normal | hard (affects word choices later)
-    wordsCount: 250,
+    difficulty: 'normal',     // normal | expert (fail on a wrong word) | master (fail on a wrong key)
+    testType: 'time',         // time | words | zen
+    duration: 60,             // seconds, for time tests
+    wordTarget: 25,           // words, for word-count tests
+    punctuation: false,       // punctuation modifier over any mode
+    numbers: false,           // numbers modifier over any mode
+    quoteLength: 'all',       // all | short | medium | long | thirty (quotes mode)
+    language: 'english',      // language pack id, see Modes.availableLanguages()
+    codeLanguage: 'all',      // all | javascript | python | json | shell (code mode)
+    autoIndent: true,         // code mode: leading indentation is filled in, not typed
+    funbox: [],               // active Modes funbox ids (random_case, mirror, memory, ...)
+    modeOptions: {},          // Modes.registerMode option values by mode id
     autosave: true
   }
 
@@ -29,15 +40,28 @@
   // load from localStorage or use defaults
   function load() {
     try {
-      const raw = localStorage.getItem(STORAGE_KEY)
-      if (!raw) {
+      const parsed = Store.read(STORAGE_KEY, { validate: v => {
+        if (!v || typeof v !== 'object' || Array.isArray(v)) throw new Error('settings object expected')
+        return v
+      } })
+      if (!parsed) {
         prefs = Object.assign({}, DEFAULTS)
         return prefs
       }
-      const parsed = JSON.parse(raw)
       prefs = Object.assign({}, DEFAULTS, parsed)
       // validate some keys
-      prefs.wordsCount = Math.max(20, Math.min(5000, Number(prefs.wordsCount) || DEFAULTS.wordsCount))
+      prefs.wordTarget = Math.max(1, Math.min(5000, Math.floor(Number(prefs.wordTarget)) || DEFAULTS.wordTarget))
+      prefs.duration = Math.max(1, Number(prefs.duration) || DEFAULTS.duration)
+      if (!['time', 'words', 'zen'].includes(prefs.testType)) prefs.testType = 'time'
+      prefs.punctuation = !!prefs.punctuation
+      prefs.numbers = !!prefs.numbers
+      if (!['all', 'short', 'medium', 'long', 'thirty'].includes(prefs.quoteLength)) prefs.quoteLength = 'all'
+      if (typeof prefs.language !== 'string' || !prefs.language) prefs.language = 'english'
+      if (!['all', 'javascript', 'python', 'json', 'shell'].includes(prefs.codeLanguage)) prefs.codeLanguage = 'all'
+      prefs.autoIndent = prefs.autoIndent !== false
+      if (!prefs.modeOptions || typeof prefs.modeOptions !== 'object' || Array.isArray(prefs.modeOptions)) prefs.modeOptions = {}
+      prefs.funbox = Array.isArray(prefs.funbox) ? prefs.funbox.filter(id => typeof id === 'string') : []
+      if (!['normal', 'expert', 'master'].includes(prefs.difficulty)) prefs.difficulty = 'normal'
       return prefs
     } catch (e) {
       console.warn('[Settings] failed to load, using defaults', e)
@@ -47,13 +71,9 @@
   }
 
   function save() {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs))
-      if (global.UI && typeof global.UI.showSavedToast === 'function') {
-        try { global.UI.showSavedToast() } catch (e) {}
-      }
-    } catch (e) {
-      console.warn('[Settings] failed to save', e)
+    if (!Store.write(STORAGE_KEY, prefs)) return
+    if (global.UI && typeof global.UI.showSavedToast === 'function') {
+      try { global.UI.showSavedToast() } catch (e) {}
     }
   }
 
@@ -78,8 +98,23 @@
       if (key === 'theme') {
         applyTheme(value)
       }
-      if (key === 'wordsCount') {
-        Modes.setSeedSize(Number(value) || DEFAULTS.wordsCount)
+      if (key === 'punctuation' || key === 'numbers') {
+        Modes.setModifiers({ [key]: !!value })
+      }
+      if (key === 'quoteLength') {
+        Modes.setQuoteLength(value)
+      }
+      if (key === 'language') {
+        Modes.setLanguage(value)
+      }
+      if (key === 'codeLanguage') {
+        Modes.setCodeLanguage(value)
+      }
+      if (key === 'funbox') {
+        Modes.setFunboxes(value)
+      }
+      if (key === 'modeOptions') {
+        Object.keys(value || {}).forEach(id => Modes.setModeOptions(id, value[id]))
       }
       if (autosave && prefs.autosave) save()
     },
@@ -95,8 +130,13 @@
       applyTheme(prefs.theme)
       // apply other visual preferences (animation)
       document.documentElement.classList.toggle('no-animations', !prefs.animation)
-      // wire modes to seed size
-      Modes.setSeedSize(Number(prefs.wordsCount) || DEFAULTS.wordsCount)
+      // wire modes to modifiers
+      Modes.setModifiers({ punctuation: !!prefs.punctuation, numbers: !!prefs.numbers })
+      Modes.setQuoteLength(prefs.quoteLength)
+      Modes.setLanguage(prefs.language)
+      Modes.setCodeLanguage(prefs.codeLanguage)
+      Modes.setFunboxes(prefs.funbox)
+      Object.keys(prefs.modeOptions).forEach(id => Modes.setModeOptions(id, prefs.modeOptions[id]))
       // optionally hide graph
       if (!prefs.showWPMGraph && window.Graph) {
         try { Graph.clear(); document.querySelectorAll('.graph').forEach(n => n.classList.add('hidden')) } catch (e) {}
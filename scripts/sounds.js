@@ -6,12 +6,12 @@
 // - Sounds.setEnabled(flag), Sounds.setVolume(0-1), Sounds.mute(), Sounds.unmute()
 // This manager is defensive: if files are missing it falls back to no-op and does not throw.
 // It uses WebAudio API if available for small synthesized beeps when no files are provided.
-// It also respects user preference saved in localStorage ('sebtype:sound:enabled').
+// It also respects user preference saved through Store ('sebtype:sound:enabled').
 
 (function (global) {
-  const STORAGE_KEY = 'sebtype:sound:enabled'
+  const STORAGE_KEY = Store.KEYS.sound
   const DEFAULTS = {
-    enabled: (localStorage.getItem(STORAGE_KEY) === 'true') || false,
+    enabled: Store.readRaw(STORAGE_KEY) === 'true',
     volume: 0.45
   }
 
@@ -172,7 +172,7 @@
     setEnabled(flag) {
       enabled = !!flag
       this.config.enabled = enabled
-      localStorage.setItem(STORAGE_KEY, enabled ? 'true' : 'false')
+      Store.writeRaw(STORAGE_KEY, enabled ? 'true' : 'false')
     },
 
     toggleEnabled() {
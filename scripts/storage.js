@@ -0,0 +1,304 @@
+// scripts/storage.js
+// SebType storage layer: every localStorage key the app persists is read and written through here.
+// Exposes global `Store` with methods:
+// - Store.read(key, { fallback, validate }) -> parsed JSON value; validate(value) returns the value
+//   to use (or throws to reject it)
+// - Store.write(key, value) -> true if saved, Store.remove(key)
+// - Store.readRaw(key) / Store.writeRaw(key, string) for plain string values
+// - Store.registerMigration(version, name, step), Store.migrate(), Store.getVersion(), Store.getLatestVersion()
+// - Store.getBackup(), Store.restoreBackup(), Store.discardBackup()
+// - Store.quarantine(key, items), Store.getQuarantine()
+// - Store.KEYS: the keys in use
+// The schema version lives under 'sebtype:schema'. On load every registered step above the stored
+// version runs in version order. Before the first step a snapshot of all sebtype keys is saved under
+// 'sebtype:backup'; if it can't be written nothing is migrated (the data stays as it is), and if a
+// step throws the snapshot is put back and the version left unchanged. The snapshot stays until the
+// user discards it (Store.discardBackup) or the next migration replaces it. Values that fail to parse
+// or validate are not dropped silently: they are kept under 'sebtype:quarantine' and a warning is logged.
+// Runs moved to IndexedDB are outside this layer: Data versions and backs them up itself
+// (Data.registerRunMigration).
+// Loaded first (before modes.js) so every module reads migrated data.
+
+(function (global) {
+  const KEYS = {
+    history: 'sebtype:history:v1',
+    leaderboard: 'sebtype:leaderboard:v1',
+    settings: 'sebtype:settings:v1',
+    sound: 'sebtype:sound:enabled',
+    customTexts: 'sebtype:customtexts:v1',
+    personalBests: 'sebtype:pbs:v1',
+    // written by older versions, folded into the keys above by migration 1
+    legacyTheme: 'sebtype_theme',
+    legacySound: 'sebtype_sound'
+  }
+  const SCHEMA_KEY = 'sebtype:schema'
+  const BACKUP_KEY = 'sebtype:backup'
+  const QUARANTINE_KEY = 'sebtype:quarantine'
+  // quarantined items kept per key
+  const MAX_QUARANTINE = 50
+
+  // version -> { version, name, step }
+  const migrations = {}
+
+  // every app key with its raw value (bookkeeping keys excluded)
+  function _snapshot() {
+    const data = {}
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i)
+      if (!/^sebtype[:_]/.test(key) || [SCHEMA_KEY, BACKUP_KEY, QUARANTINE_KEY].includes(key)) continue
+      data[key] = localStorage.getItem(key)
+    }
+    return data
+  }
+
+  function _restore(data) {
+    Object.keys(_snapshot()).forEach(key => { if (!(key in data)) localStorage.removeItem(key) })
+    Object.keys(data).forEach(key => localStorage.setItem(key, data[key]))
+  }
+
+  function _setVersion(version) {
+    localStorage.setItem(SCHEMA_KEY, JSON.stringify({ version, updatedAt: Date.now() }))
+  }
+
+  // what a migration step works with; failures throw so the step (and the migration) fails
+  const stepApi = {
+    KEYS,
+    // an unreadable value is set aside (it is in the backup too) and treated as missing
+    read(key, fallback) {
+      const raw = localStorage.getItem(key)
+      if (raw == null) return fallback
+      try {
+        return JSON.parse(raw)
+      } catch (e) {
+        Store.quarantine(key, [raw])
+        localStorage.removeItem(key)
+        return fallback
+      }
+    },
+    write(key, value) { localStorage.setItem(key, JSON.stringify(value)) },
+    readRaw(key) { return localStorage.getItem(key) },
+    writeRaw(key, value) { localStorage.setItem(key, String(value)) },
+    remove(key) { localStorage.removeItem(key) },
+    quarantine(key, items) { Store.quarantine(key, items) }
+  }
+
+  const Store = {
+    KEYS,
+
+    // parsed value of key; unreadable or rejected values are quarantined and `fallback` returned
+    read(key, { fallback = null, validate = null } = {}) {
+      let raw = null
+      try {
+        raw = localStorage.getItem(key)
+        if (raw == null) return fallback
+        const value = JSON.parse(raw)
+        return validate ? validate(value) : value
+      } catch (e) {
+        console.warn(`[Store] unreadable ${key}, using defaults (kept in ${QUARANTINE_KEY})`, e)
+        if (raw != null) this.quarantine(key, [raw])
+        return fallback
+      }
+    },
+
+    write(key, value) {
+      try {
+        localStorage.setItem(key, JSON.stringify(value))
+        return true
+      } catch (e) {
+        console.warn(`[Store] failed to save ${key}`, e)
+        return false
+      }
+    },
+
+    readRaw(key) {
+      try { return localStorage.getItem(key) } catch (e) { return null }
+    },
+
+    writeRaw(key, value) {
+      try {
+        localStorage.setItem(key, String(value))
+        return true
+      } catch (e) {
+        console.warn(`[Store] failed to save ${key}`, e)
+        return false
+      }
+    },
+
+    remove(key) {
+      try { localStorage.removeItem(key) } catch (e) {}
+    },
+
+    // set aside values that could not be used, newest last; values already kept are skipped
+    quarantine(key, items = []) {
+      if (!items.length) return
+      try {
+        const all = this.getQuarantine()
+        const kept = new Set((all[key] || []).map(q => JSON.stringify(q.value)))
+        const fresh = items.filter(value => !kept.has(JSON.stringify(value)))
+        if (!fresh.length) return
+        console.warn(`[Store] ${fresh.length} invalid item(s) in ${key} moved to ${QUARANTINE_KEY}`)
+        const at = Date.now()
+        all[key] = (all[key] || []).concat(fresh.map(value => ({ at, value }))).slice(-MAX_QUARANTINE)
+        localStorage.setItem(QUARANTINE_KEY, JSON.stringify(all))
+      } catch (e) {
+        console.warn('[Store] failed to quarantine', e)
+      }
+    },
+
+    // { key: [{ at, value }] }
+    getQuarantine() {
+      try { return JSON.parse(localStorage.getItem(QUARANTINE_KEY) || '{}') || {} } catch (e) { return {} }
+    },
+
+    // add a schema step; step(api) edits stored data in place (see stepApi)
+    registerMigration(version, name, step) {
+      const v = Math.floor(Number(version))
+      if (!(v > 0)) throw new Error('migration version must be a positive integer')
+      if (migrations[v]) throw new Error(`migration ${v} already registered`)
+      if (typeof step !== 'function') throw new Error(`migration ${v} needs a step function`)
+      migrations[v] = { version: v, name: String(name || v), step }
+    },
+
+    // schema version of the stored data (0 before the first migration)
+    getVersion() {
+      try {
+        const meta = JSON.parse(localStorage.getItem(SCHEMA_KEY) || 'null')
+        return meta && Number(meta.version) > 0 ? Number(meta.version) : 0
+      } catch (e) {
+        return 0
+      }
+    },
+
+    // latest registered schema version
+    getLatestVersion() {
+      return Object.keys(migrations).reduce((max, v) => Math.max(max, Number(v)), 0)
+    },
+
+    // run the pending steps; returns the version the data is at afterwards
+    migrate() {
+      const from = this.getVersion()
+      const latest = this.getLatestVersion()
+      const pending = Object.keys(migrations).map(Number).filter(v => v > from).sort((a, b) => a - b)
+      if (!pending.length) return from
+      try {
+        const data = _snapshot()
+        // nothing stored yet: a fresh install starts at the latest schema
+        if (!Object.keys(data).length) {
+          _setVersion(latest)
+          return latest
+        }
+        localStorage.setItem(BACKUP_KEY, JSON.stringify({ fromVersion: from, toVersion: latest, createdAt: Date.now(), data }))
+      } catch (e) {
+        console.warn('[Store] could not back up data, migration postponed', e)
+        return from
+      }
+      const backup = this.getBackup()
+      let version = from
+      for (const v of pending) {
+        try {
+          migrations[v].step(stepApi)
+          version = v
+        } catch (e) {
+          console.warn(`[Store] migration ${v} (${migrations[v].name}) failed, data restored`, e)
+          try { _restore(backup.data) } catch (err) { console.warn('[Store] restore failed', err) }
+          return from
+        }
+      }
+      _setVersion(version)
+      console.log('%c[Store] migrated storage', 'color:#37e67d', `v${from} -> v${version}`)
+      return version
+    },
+
+    // snapshot taken before the last migration ({ fromVersion, toVersion, createdAt, data }) or null
+    getBackup() {
+      try { return JSON.parse(localStorage.getItem(BACKUP_KEY) || 'null') } catch (e) { return null }
+    },
+
+    // put the pre-migration data back; the next load migrates it again
+    restoreBackup() {
+      const backup = this.getBackup()
+      if (!backup || !backup.data) return false
+      try {
+        _restore(backup.data)
+        _setVersion(backup.fromVersion || 0)
+        return true
+      } catch (e) {
+        console.warn('[Store] failed to restore backup', e)
+        return false
+      }
+    },
+
+    // drop the pre-migration snapshot once the migrated data is known to be fine; frees its quota
+    discardBackup() {
+      this.remove(BACKUP_KEY)
+    }
+  }
+
+  // 1: theme and sound preferences from the old single keys
+  Store.registerMigration(1, 'legacy theme and sound keys', s => {
+    const theme = s.readRaw(KEYS.legacyTheme)
+    const sound = s.readRaw(KEYS.legacySound)
+    if (theme == null && sound == null) return
+    const settings = s.read(KEYS.settings, {})
+    const prefs = settings && typeof settings === 'object' && !Array.isArray(settings) ? settings : {}
+    if (theme != null && prefs.theme == null && ['dark', 'light'].includes(theme)) prefs.theme = theme
+    if (sound != null) {
+      const on = ['true', '1', 'on', 'yes'].includes(String(sound).toLowerCase())
+      if (prefs.sound == null) prefs.sound = on
+      if (s.readRaw(KEYS.sound) == null) s.writeRaw(KEYS.sound, on ? 'true' : 'false')
+    }
+    s.write(KEYS.settings, prefs)
+    s.remove(KEYS.legacyTheme)
+    s.remove(KEYS.legacySound)
+  })
+
+  // 2: run records spell out the fields added since v1 instead of relying on their absence. A record
+  // without an id, a date or a wpm is not a run anyone can rank or find again: it is quarantined
+  // rather than given made-up values
+  Store.registerMigration(2, 'explicit run record fields', s => {
+    const fill = r => {
+      const testType = r.testType === 'words' || r.testType === 'zen' ? r.testType : 'time'
+      return Object.assign({
+        mode: 'english',
+        language: 'english',
+        difficulty: 'normal',
+        failed: false,
+        funbox: [],
+        punctuation: false,
+        numbers: false
+      }, r, { date: Number(r.date), testType })
+    }
+    const finite = v => v != null && v !== '' && Number.isFinite(Number(v))
+    const usable = r => r && typeof r === 'object' && !Array.isArray(r) && r.id != null && finite(r.date) && finite(r.wpm)
+    ;[KEYS.history, KEYS.leaderboard].forEach(key => {
+      const list = s.read(key)
+      if (list === undefined) return
+      if (!Array.isArray(list)) {
+        s.quarantine(key, [list])
+        s.remove(key)
+        return
+      }
+      s.quarantine(key, list.filter(r => !usable(r)))
+      s.write(key, list.filter(usable).map(fill))
+    })
+  })
+
+  // 3: saved custom texts carry their own name and playback options
+  Store.registerMigration(3, 'custom text entries', s => {
+    const list = s.read(KEYS.customTexts)
+    if (list === undefined) return
+    if (!Array.isArray(list)) {
+      s.quarantine(KEYS.customTexts, [list])
+      s.remove(KEYS.customTexts)
+      return
+    }
+    const ok = t => t && typeof t === 'object' && typeof t.id === 'string' && typeof t.text === 'string'
+    s.quarantine(KEYS.customTexts, list.filter(t => !ok(t)))
+    s.write(KEYS.customTexts, list.filter(ok).map(t => Object.assign({ ordered: true, repeat: 1 }, t, {
+      name: typeof t.name === 'string' && t.name ? t.name : t.id.replace(/^custom:/, '')
+    })))
+  })
+
+  global.Store = Store
+  Store.migrate()
+})(window)
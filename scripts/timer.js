@@ -1,11 +1,23 @@
 // SebType Timer
 // Controls the countdown and triggers typing end when finished
+// Can also count up (word-count tests), in which case the caller decides when to stop
+// Time is measured with performance.now() timestamps, so throttled intervals never
+// cause drift; the interval only decides how often ticks are reported.
 // Works with UI and Typing modules
 
 const Timer = (() => {
+    const TICK_MS = 100; // sub-second tick rate for HUD and graph sampling
+    const now = () => (window.performance && performance.now ? performance.now() : Date.now());
+
     let duration = 60; // default 60 seconds
-    let timeLeft = duration;
+    let mode = "countdown"; // countdown | countup
     let timerInterval = null;
+    let startedAt = 0;     // timestamp of start()
+    let pausedAt = 0;      // timestamp of pause(), 0 when not paused
+    let pausedTotal = 0;   // ms spent paused so far
+    let stoppedAt = 0;     // timestamp of stop(), freezes elapsed
+    let endCb = null;
+    let tickCb = null;
     const display = document.getElementById("timer-display");
 
     const init = () => {
@@ -13,38 +25,80 @@ const Timer = (() => {
         console.log("%c[Timer] Ready", "color:#37e67d");
     };
 
+    const resetClock = () => {
+        startedAt = 0;
+        pausedAt = 0;
+        pausedTotal = 0;
+        stoppedAt = 0;
+    };
+
     const setDuration = secs => {
         duration = secs;
-        timeLeft = secs;
+        resetClock();
         updateDisplay();
     };
 
-    const start = onEnd => {
+    // countup runs until stopped and never calls onEnd
+    const setMode = m => {
+        mode = m === "countup" ? "countup" : "countdown";
+        resetClock();
+        updateDisplay();
+    };
+
+    // onTick receives { elapsed, timeLeft, progress } in milliseconds (timeLeft null for countup)
+    const start = (onEnd, onTick) => {
         stop(); // ensure no duplicate
-        timeLeft = duration;
+        resetClock();
+        startedAt = now();
+        endCb = onEnd;
+        tickCb = onTick;
         updateDisplay();
+        timerInterval = setInterval(tick, TICK_MS);
+    };
 
-        timerInterval = setInterval(() => {
-            timeLeft--;
-            updateDisplay();
-            if (timeLeft <= 0) {
-                stop();
-                if (typeof onEnd === "function") onEnd();
-            }
-        }, 1000);
+    const tick = () => {
+        if (pausedAt) return;
+        const elapsed = getElapsedMs();
+        const ended = mode === "countdown" && elapsed >= duration * 1000;
+        updateDisplay();
+        if (typeof tickCb === "function") {
+            tickCb({ elapsed: ended ? duration * 1000 : elapsed, timeLeft: getTimeLeftMs(), progress: getProgress() });
+        }
+        if (ended) {
+            stop();
+            if (typeof endCb === "function") endCb();
+        }
     };
 
     const stop = () => {
         if (timerInterval) {
             clearInterval(timerInterval);
             timerInterval = null;
+            stoppedAt = pausedAt || now();
         }
     };
 
+    const pause = () => {
+        if (!timerInterval || pausedAt) return;
+        pausedAt = now();
+        updateDisplay();
+    };
+
+    const resume = () => {
+        if (!pausedAt) return;
+        pausedTotal += now() - pausedAt;
+        pausedAt = 0;
+        updateDisplay();
+    };
+
     const updateDisplay = () => {
         if (!display) return;
-        display.textContent = `${timeLeft}s`;
-        display.style.color = timeLeft <= 5 ? "#e15858" : "#37e67d";
+        display.classList.toggle("paused", !!pausedAt);
+        // count-up tests (word count) own the HUD text themselves
+        if (mode === "countup") return;
+        const secs = Math.ceil(getTimeLeftMs() / 1000);
+        display.textContent = `${secs}s`;
+        display.style.color = secs <= 5 ? "#e15858" : "#37e67d";
     };
 
     const flashWarning = () => {
@@ -52,13 +106,37 @@ const Timer = (() => {
         setTimeout(() => display.classList.remove("flash"), 400);
     };
 
-    const getProgress = () => 1 - timeLeft / duration;
+    const getElapsedMs = () => {
+        if (!startedAt) return 0;
+        const end = stoppedAt || pausedAt || now();
+        return Math.max(0, end - startedAt - pausedTotal);
+    };
+
+    const getTimeLeftMs = () => (mode === "countdown" ? Math.max(0, duration * 1000 - getElapsedMs()) : null);
+
+    const getProgress = () => (mode === "countdown" ? Math.min(1, getElapsedMs() / (duration * 1000)) : 0);
+
+    const getDuration = () => duration;
+
+    // seconds, fractional
+    const getElapsed = () => getElapsedMs() / 1000;
+
+    const getMode = () => mode;
+
+    const getTimeLeft = () => (mode === "countdown" ? getTimeLeftMs() / 1000 : null);
+
+    const isRunning = () => !!timerInterval;
+
+    const isPaused = () => !!pausedAt;
 
     const debug = () => {
         console.table({
+            mode,
             duration,
-            timeLeft,
-            running: !!timerInterval
+            elapsedMs: getElapsedMs(),
+            timeLeftMs: getTimeLeftMs(),
+            running: !!timerInterval,
+            paused: !!pausedAt
         });
     };
 
@@ -77,8 +155,19 @@ const Timer = (() => {
         init,
         start,
         stop,
+        pause,
+        resume,
         setDuration,
+        setMode,
+        getMode,
         getProgress,
+        getDuration,
+        getElapsed,
+        getElapsedMs,
+        getTimeLeft,
+        getTimeLeftMs,
+        isRunning,
+        isPaused,
         flashWarning,
         debug,
         testBlink
@@ -86,4 +175,3 @@ const Timer = (() => {
 })();
 
 document.addEventListener("DOMContentLoaded", Timer.init);
-
@@ -1,261 +1,508 @@
-// scripts/ui.js
-// SebType UI helper that manages DOM widgets, panels, simple animations, and ties to Typing & Timer
-// Provides a defensive UI layer that main.js and other modules can rely on.
-// Exposes global UI with some helper callbacks and small utilities:
-// - UI.init(), UI.showSavedToast(msg), UI.onModeChange(mode), UI.onNewRun(rec)
+// scripts/typing.js
+// SebType typing engine
+// Exposes global `Typing` with the contract main.js wires into:
+// - Typing.init(), Typing.reset({ seed }), Typing.start(), Typing.pause() (resumes on the next input)
+// - Typing.processInput(value)      -> value is the full hidden-input text for the current word
+//                                      (' ' submits a word; in code tests '\n' does too, for Enter)
+// - Typing.processKeystroke(key)    -> raw keydown forwarding (Shift+Enter ends zen tests)
+// - Typing.words, Typing.currentWordIndex
+// - hooks: Typing.onTick(payload), Typing.onUpdateWordState(state), Typing.onFinish(stats)
+// Words come from Modes (a stream for time and zen tests), the Timer starts on the first keystroke
+// and onFinish gets the run (see finish()).
 
 (function (global) {
-  const UI = {
-    // DOM refs (filled in init)
-    elements: {},
-    // small toast timer
-    _toastTimer: null,
+  // per-word results for submitted words: { word, typed, sepOk, sepTyped, correct, incorrect, extra, missed }
+  let results = []
+  let typed = ''
+  // keystroke-level counters used for accuracy
+  let keystrokes = { correct: 0, incorrect: 0 }
+  // per-second samples for the results graph: cumulative net wpm, raw wpm typed within that second
+  // and wrong keystrokes within that second
+  let history = { wpm: [], raw: [], errors: [] }
+  // keylog index where the next unsampled second starts
+  let sampleCursor = 0
+  // input event log: [ms since start, key or inserted char, word index, 'c' | 'w' | 'b'] (correct,
+  // wrong, backspace); a submitting space is logged as ' ' (Enter in code tests as '\n')
+  let keylog = []
+  // expected char (or char pair) -> [correct, incorrect, ms]; ms sums the time since the previous
+  // keystroke for correct presses
+  let keyStats = {}
+  let bigramStats = {}
+  // ms offset of the previous keystroke, for per-key speed
+  let lastKeyAt = 0
+  let startedAt = 0
+  let started = false
+  let finished = false
+  // test configuration, read from Settings on reset: 'time' counts down `duration`, 'words' counts up
+  // until `wordTarget` words are submitted, 'zen' counts up over an endless list until Shift+Enter
+  let testType = 'time'
+  let wordTarget = 0
+  // Modes modifiers active when the word list was generated
+  let modifiers = { punctuation: false, numbers: false }
+  // quote being typed in quotes mode ({ id, text, source }), else null; fixed texts always run as a
+  // words test over exactly that text
+  let quote = null
+  // language of the words (quotes are english, code tests report the snippet's language)
+  let language = 'english'
+  // PRNG seed the word list was generated from: new, or the one passed to reset() to retry the same words
+  let seed = null
+  // code test state: a token ending in '\n' is submitted with Enter, its leading '\t's are the
+  // indentation (typed with Tab unless autoIndent fills them in); separators and tabs are tallied
+  // in `whitespace` for whitespaceAccuracy
+  let codeMode = false
+  let autoIndent = true
+  let snippet = null
+  let whitespace = { correct: 0, incorrect: 0 }
+  // normal | expert (fails on a word submitted with an error) | master (fails on any wrong keystroke)
+  let difficulty = 'normal'
+  // numbers mode format (null for other modes)
+  let numbersFormat = null
+  // funbox ids, render flags and when the word list was put on screen; the flags and the time go to
+  // the word stream with each word state (memory, hidden, read ahead)
+  let funbox = []
+  let funboxRender = []
+  let shownAt = 0
+  // Modes stream of time/zen tests, null for fixed-length word lists
+  let stream = null
+  // streamed tests append more words when fewer than this many are left
+  const TOPUP_AT = 40
+  // an idle gap at least this long marks the run as AFK
+  const AFK_GAP_MS = 5000
+
+  function _hasTimer() { return typeof Timer !== 'undefined' }
+
+  function _setting(key, fallback) {
+    if (global.Settings && typeof global.Settings.get === 'function') return global.Settings.get(key, fallback)
+    return fallback
+  }
+
+  // what has to be typed for word idx: the token minus its line break, and minus its
+  // indentation when that is filled in automatically
+  function _target(idx) {
+    let w = Typing.words[idx] || ''
+    if (w.endsWith('\n')) w = w.slice(0, -1)
+    if (autoIndent) w = w.replace(/^\t+/, '')
+    return w
+  }
+
+  // the key that submits word idx: Enter at the end of a code line, space otherwise
+  function _separator(idx) {
+    return (Typing.words[idx] || '').endsWith('\n') ? '\n' : ' '
+  }
+
+  // compare a typed string against its target word
+  function _compareWord(word, input) {
+    const out = { correct: 0, incorrect: 0, extra: 0, missed: 0 }
+    const common = Math.min(word.length, input.length)
+    for (let i = 0; i < common; i++) {
+      if (input[i] === word[i]) out.correct++
+      else out.incorrect++
+    }
+    if (input.length > word.length) out.extra = input.length - word.length
+    if (input.length < word.length) out.missed = word.length - input.length
+    return out
+  }
+
+  // per-character status list for rendering the current word
+  function _charStates(word, input) {
+    const len = Math.max(word.length, input.length)
+    const out = []
+    for (let i = 0; i < len; i++) {
+      if (i >= word.length) out.push('extra')
+      else if (i >= input.length) out.push('pending')
+      else out.push(input[i] === word[i] ? 'correct' : 'incorrect')
+    }
+    return out
+  }
+
+  // character totals across submitted words plus the word in progress
+  function _tally() {
+    const t = { correct: 0, incorrect: 0, extra: 0, missed: 0, correctWordChars: 0, typedChars: 0 }
+    results.forEach(r => {
+      t.correct += r.correct
+      t.incorrect += r.incorrect
+      t.extra += r.extra
+      t.missed += r.missed
+      // typed characters plus the submitting space, when one was typed
+      const sep = r.sepTyped ? 1 : 0
+      t.typedChars += r.typed.length + sep
+      if (r.typed === r.word && r.sepOk) t.correctWordChars += r.word.length + sep
+    })
+    const word = _target(Typing.currentWordIndex)
+    if (typed) {
+      const cur = _compareWord(word, typed)
+      t.correct += cur.correct
+      t.incorrect += cur.incorrect
+      t.extra += cur.extra
+      t.typedChars += typed.length
+      if (word.startsWith(typed)) t.correctWordChars += typed.length
+    }
+    return t
+  }
+
+  // the Timer's monotonic clock is the single source of elapsed time (pauses excluded)
+  function _elapsedSeconds() {
+    if (!started) return 0
+    if (_hasTimer()) return Timer.getElapsed()
+    return (Date.now() - startedAt) / 1000
+  }
+
+  function _accuracy() {
+    const total = keystrokes.correct + keystrokes.incorrect
+    if (!total) return 100
+    return Math.round((keystrokes.correct / total) * 100)
+  }
+
+  function _speeds(elapsed) {
+    const minutes = Math.max(elapsed, 1) / 60
+    const t = _tally()
+    return {
+      wpm: Math.round((t.correctWordChars / 5) / minutes),
+      raw: Math.round((t.typedChars / 5) / minutes),
+      chars: { correct: t.correct, incorrect: t.incorrect, extra: t.extra, missed: t.missed }
+    }
+  }
+
+  function _emitWordState() {
+    const idx = Typing.currentWordIndex
+    const word = _target(idx)
+    const state = {
+      index: idx,
+      word,
+      typed,
+      chars: _charStates(word, typed),
+      funbox: funboxRender,
+      shownAt,
+      _renderedByTyping: false
+    }
+    if (global.UI && typeof global.UI.renderWordStream === 'function') {
+      try {
+        global.UI.renderWordStream(state)
+        state._renderedByTyping = true
+      } catch (e) {}
+    }
+    if (typeof Typing.onUpdateWordState === 'function') {
+      try { Typing.onUpdateWordState(state) } catch (e) { console.warn('[Typing] onUpdateWordState threw', e) }
+    }
+  }
+
+  // HUD payload: word-count tests report words done instead of time left
+  function _emitHud(payload) {
+    if (typeof Typing.onTick !== 'function') return
+    if (testType === 'words') {
+      payload = Object.assign({}, payload, { timeLeft: null, wordsDone: Typing.currentWordIndex, wordsTotal: wordTarget })
+    } else if (testType === 'zen') {
+      payload = Object.assign({}, payload, { timeLeft: null, elapsed: Math.floor(_elapsedSeconds()) })
+    }
+    try { Typing.onTick(payload) } catch (e) { console.warn('[Typing] onTick threw', e) }
+  }
+
+  // close the sample ending at `second`; span < 1 for a trailing partial second.
+  // raw/errors come from keylog timestamps so they match when the keys were pressed
+  function _pushSample(second, span = 1) {
+    const until = second * 1000
+    let chars = 0
+    let errors = 0
+    while (sampleCursor < keylog.length && keylog[sampleCursor][0] < until) {
+      const kind = keylog[sampleCursor][3]
+      if (kind !== 'b') chars++
+      if (kind === 'w') errors++
+      sampleCursor++
+    }
+    history.wpm.push(_speeds(second).wpm)
+    history.raw.push(Math.round((chars / 5) / (span / 60)))
+    history.errors.push(errors)
+  }
+
+  // one graph sample for every whole second crossed so far
+  function _sampleUpTo(elapsed) {
+    while (history.wpm.length < Math.floor(elapsed)) _pushSample(history.wpm.length + 1)
+  }
+
+  // sub-second ticks: { elapsed, timeLeft } in ms from the Timer
+  function _onTimerTick(info) {
+    const elapsed = info.elapsed / 1000
+    _sampleUpTo(elapsed)
+    _emitHud({
+      timeLeft: info.timeLeft == null ? null : Math.ceil(info.timeLeft / 1000),
+      accuracy: _accuracy(),
+      wpm: _speeds(elapsed).wpm,
+      elapsed: Math.floor(elapsed)
+    })
+  }
+
+  function _log(key, kind) {
+    keylog.push([Math.round(_elapsedSeconds() * 1000), key, Typing.currentWordIndex, kind])
+  }
+
+  // count a keystroke against the character that should have been typed (and the pair it ends)
+  function _countKey(expected, prevExpected, ok) {
+    const now = Math.round(_elapsedSeconds() * 1000)
+    const dt = now - lastKeyAt
+    lastKeyAt = now
+    if (!expected) return // extra characters past the end of a word
+    const bump = (map, key) => {
+      const k = map[key] || (map[key] = [0, 0, 0])
+      k[ok ? 0 : 1]++
+      if (ok) k[2] += dt
+    }
+    bump(keyStats, expected)
+    if (prevExpected) bump(bigramStats, prevExpected + expected)
+  }
+
+  // record added characters as correct/incorrect keystrokes; removed ones are logged as backspaces
+  function _countInsertedChars(prev, next) {
+    const word = _target(Typing.currentWordIndex)
+    let p = 0
+    while (p < prev.length && p < next.length && prev[p] === next[p]) p++
+    for (let i = p; i < prev.length; i++) _log('Backspace', 'b')
+    for (let i = p; i < next.length; i++) {
+      const ok = next[i] === word[i]
+      if (ok) keystrokes.correct++
+      else keystrokes.incorrect++
+      if (codeMode && (next[i] === '\t' || word[i] === '\t')) whitespace[ok ? 'correct' : 'incorrect']++
+      // a word starts after the space
+      _countKey(word[i], i ? word[i - 1] : ' ', ok)
+      _log(next[i], ok ? 'c' : 'w')
+      if (!ok && difficulty === 'master') return finish('key')
+    }
+  }
+
+  // sep is the key that submitted the word: ' ' or '\n' (Enter, code tests), or null when the last
+  // word ends the test without one
+  function _submitWord(sep = _separator(Typing.currentWordIndex)) {
+    const idx = Typing.currentWordIndex
+    const word = _target(idx)
+    const expected = _separator(idx)
+    const sepTyped = sep != null
+    const sepOk = !sepTyped || sep === expected
+    const cmp = _compareWord(word, typed)
+    results.push(Object.assign({ word, typed, sepOk, sepTyped }, cmp))
+    // the separator itself is a keystroke: correct only when it is the right one and ends a correct word
+    const ok = typed === word && sepOk
+    if (sepTyped) {
+      if (ok) keystrokes.correct++
+      else keystrokes.incorrect++
+      if (codeMode) whitespace[sepOk ? 'correct' : 'incorrect']++
+      _countKey(expected, word[word.length - 1], ok)
+      _log(sep, ok ? 'c' : 'w')
+    }
+    if (!ok && difficulty !== 'normal') return finish(difficulty === 'master' ? 'key' : 'word')
+    typed = ''
+    Typing.currentWordIndex++
+    if (stream && Typing.words.length - Typing.currentWordIndex < TOPUP_AT) {
+      Typing.words.push(...stream.next())
+    }
+    if (Typing.currentWordIndex >= Typing.words.length) return finish()
+    if (testType === 'words') _emitHud({ accuracy: _accuracy() })
+  }
+
+  function _whitespaceAccuracy() {
+    const total = whitespace.correct + whitespace.incorrect
+    return total ? Math.round((whitespace.correct / total) * 100) : 100
+  }
+
+  // 100 for perfectly even raw speed; coefficient of variation mapped through tanh
+  function _consistency(raw) {
+    if (raw.length < 2) return 100
+    const mean = raw.reduce((a, b) => a + b, 0) / raw.length
+    if (!mean) return 0
+    const variance = raw.reduce((a, b) => a + (b - mean) ** 2, 0) / raw.length
+    const cov = Math.sqrt(variance) / mean
+    return Math.round(100 * (1 - Math.tanh(cov + cov ** 3 / 3 + cov ** 5 / 5)))
+  }
+
+  // total idle time in gaps of AFK_GAP_MS or more, including the stretch after the last key
+  function _afkMs(endMs) {
+    let idle = 0
+    let prev = 0
+    keylog.forEach(e => {
+      if (e[0] - prev >= AFK_GAP_MS) idle += e[0] - prev
+      prev = e[0]
+    })
+    if (endMs - prev >= AFK_GAP_MS) idle += endMs - prev
+    return idle
+  }
+
+  // failReason ('word' | 'key') is set when the difficulty ended the test
+  function finish(failReason = null) {
+    if (finished) return
+    finished = true
+    if (_hasTimer()) Timer.stop()
+    const timeLimit = testType === 'time' && _hasTimer() ? Timer.getDuration() : 0
+    // when the countdown ran out the elapsed time is exactly the limit
+    let elapsed = _elapsedSeconds()
+    if (timeLimit && Timer.getTimeLeft() <= 0) elapsed = timeLimit
+    _sampleUpTo(elapsed)
+    const rest = elapsed - history.wpm.length
+    if (rest > 0.25) _pushSample(elapsed, rest)
+    const speeds = _speeds(elapsed)
+    const afkMs = _afkMs(elapsed * 1000)
+    const stats = {
+      wpm: speeds.wpm,
+      raw: speeds.raw,
+      accuracy: _accuracy(),
+      consistency: _consistency(history.raw),
+      afk: afkMs > 0,
+      afkSeconds: Math.round(afkMs / 1000),
+      elapsed: Math.round(elapsed * 100) / 100,
+      elapsedMs: Math.round(elapsed * 1000),
+      timeLimit,
+      testType,
+      wordCount: testType === 'words' ? wordTarget : 0,
+      difficulty,
+      failed: !!failReason,
+      failReason: failReason || null,
+      funbox: funbox.slice(),
+      numbersFormat,
+      whitespaceAccuracy: codeMode ? _whitespaceAccuracy() : null,
+      snippetId: snippet ? snippet.id : null,
+      punctuation: !!modifiers.punctuation,
+      numbers: !!modifiers.numbers,
+      language,
+      seed,
+      quoteId: quote ? quote.id : null,
+      quoteSource: quote ? quote.source : '',
+      history: { wpm: history.wpm.slice(), raw: history.raw.slice(), errors: history.errors.slice() },
+      chars: speeds.chars,
+      words: results.length,
+      keylog: keylog.slice(),
+      // the words up to the last one reached, for replays
+      targetWords: Typing.words.slice(0, Typing.currentWordIndex + 1),
+      keyStats: JSON.parse(JSON.stringify(keyStats)),
+      bigramStats: JSON.parse(JSON.stringify(bigramStats))
+    }
+    if (typeof Typing.onFinish === 'function') {
+      try { Typing.onFinish(stats) } catch (e) { console.warn('[Typing] onFinish threw', e) }
+    }
+    return stats
+  }
+
+  const Typing = {
+    words: [],
+    currentWordIndex: 0,
+    // hooks (assigned by main.js)
+    onTick: undefined,
+    onUpdateWordState: undefined,
+    onFinish: undefined,
+
     init() {
-      this._queryElements()
-      this._wireBasicControls()
-      console.log('%c[UI] Initialized', 'color:#37e67d')
+      this.reset()
+      console.log('%c[Typing] ready', 'color:#37e67d')
       return this
     },
 
-    _queryElements() {
-      const doc = document
-      const el = this.elements
-      el.app = doc.getElementById('app') || doc.body
-      el.navbar = doc.getElementById('navbar')
-      el.btnModes = doc.getElementById('btn-modes')
-      el.btnStats = doc.getElementById('btn-stats')
-      el.btnSettings = doc.getElementById('btn-settings')
-      el.wordStream = doc.getElementById('word-stream') || doc.getElementById('word-area')
-      el.hiddenInput = doc.getElementById('hidden-input') || doc.getElementById('input-box')
-      el.timerDisplay = doc.getElementById('timer-display')
-      el.modeDisplay = doc.getElementById('mode-display')
-      el.accuracyDisplay = doc.getElementById('accuracy-display')
-      el.results = doc.getElementById('results')
-      el.resultsWpm = doc.getElementById('stat-wpm')
-      el.resultsRaw = doc.getElementById('stat-raw')
-      el.resultsAcc = doc.getElementById('stat-acc')
-      el.resultsTime = doc.getElementById('stat-time')
-      el.graph = doc.getElementById('graph')
-      el.restartBtn = doc.getElementById('restart-btn') || doc.querySelector('#results button')
-      el.footer = doc.querySelector('footer')
-      el.errorBox = doc.getElementById('error-box') // optional
-      // fallback creation if important elements missing will be handled by main.js ensureBaseUI
-    },
-
-    _wireBasicControls() {
-      const el = this.elements
-      // nav buttons are wired in main.js too but we set safe listeners here so UI behaves if main.js missing
-      if (el.btnModes && !el.btnModes._wired) {
-        el.btnModes.addEventListener('click', (e) => {
-          if (typeof global.openModesPanel === 'function') return global.openModesPanel()
-          // otherwise fallback to show a tiny notice
-          this.showSavedToast('Modes panel (no main handler)')
-        })
-        el.btnModes._wired = true
-      }
-      if (el.btnSettings && !el.btnSettings._wired) {
-        el.btnSettings.addEventListener('click', (e) => {
-          if (typeof global.openSettingsPanel === 'function') return global.openSettingsPanel()
-          this.showSavedToast('Settings (no main handler)')
-        })
-        el.btnSettings._wired = true
-      }
-      if (el.btnStats && !el.btnStats._wired) {
-        el.btnStats.addEventListener('click', (e) => {
-          if (typeof global.openStatsPanel === 'function') return global.openStatsPanel()
-          this.showSavedToast('Stats (no main handler)')
-        })
-        el.btnStats._wired = true
-      }
-
-      // clicking the word stream focuses the hidden input for quick typing
-      if (el.wordStream && !el.wordStream._wired) {
-        el.wordStream.addEventListener('click', () => {
-          try {
-            if (el.hiddenInput) el.hiddenInput.focus()
-          } catch (e) {}
-        })
-        el.wordStream._wired = true
+    // fresh word list and counters; does not start the timer. Pass a seed to replay a word list.
+    reset({ seed: retrySeed = null } = {}) {
+      testType = _setting('testType', 'time')
+      if (!['time', 'words', 'zen'].includes(testType)) testType = 'time'
+      wordTarget = Number(_setting('wordTarget', 25)) || 25
+      const fixed = !!(global.Modes && Modes.isFixedText && Modes.isFixedText())
+      if (fixed) testType = 'words'
+      if (_hasTimer()) {
+        Timer.stop()
+        Timer.setDuration(Number(_setting('duration', Timer.getDuration())) || Timer.getDuration())
+        Timer.setMode(testType === 'time' ? 'countdown' : 'countup')
       }
-
-      // restart button
-      if (el.restartBtn && !el.restartBtn._wired) {
-        el.restartBtn.addEventListener('click', () => {
-          // call Typing.reset if available, else reload
-          if (typeof global.Typing !== 'undefined' && Typing && typeof Typing.reset === 'function') {
-            Typing.reset()
-          } else {
-            // fallback: reload page only if nothing else
-            // location.reload()
-            this.showSavedToast('Reset! (typing module not present)')
-          }
-          // hide results
-          if (el.results) el.results.classList.add('hidden')
-          if (el.hiddenInput) {
-            el.hiddenInput.value = ''
-            try { el.hiddenInput.focus({ preventScroll: true }) } catch (e) { el.hiddenInput.focus() }
-          }
-        })
-        el.restartBtn._wired = true
+      // modifiers are not applied to fixed texts
+      modifiers = !fixed && global.Modes && Modes.getModifiers ? Modes.getModifiers() : { punctuation: false, numbers: false }
+      seed = global.Modes && Modes.newSeed ? (retrySeed != null ? Number(retrySeed) >>> 0 : Modes.newSeed()) : null
+      stream = null
+      if (!global.Modes) this.words = []
+      else if (fixed) this.words = Modes.generate(undefined, { seed })
+      else if (testType === 'words' || !Modes.createStream) this.words = Modes.generate(testType === 'words' ? wordTarget : undefined, { seed })
+      else {
+        stream = Modes.createStream({ seed })
+        this.words = stream.next()
       }
+      if (fixed) wordTarget = this.words.length
+      quote = fixed && Modes.getQuote ? Modes.getQuote() : null
+      codeMode = !!(global.Modes && Modes.isCode && Modes.isCode())
+      autoIndent = codeMode && _setting('autoIndent', true) !== false
+      snippet = codeMode && Modes.getSnippet ? Modes.getSnippet() : null
+      language = !fixed && global.Modes && Modes.getActiveLanguage ? Modes.getActiveLanguage() : 'english'
+      if (snippet) language = snippet.language
+      whitespace = { correct: 0, incorrect: 0 }
+      difficulty = _setting('difficulty', 'normal')
+      if (!['normal', 'expert', 'master'].includes(difficulty)) difficulty = 'normal'
+      numbersFormat = global.Modes && Modes.getMode() === 'numbers' && Modes.getModeOptions ? Modes.getModeOptions('numbers').format : null
+      funbox = global.Modes && Modes.getFunboxes ? Modes.getFunboxes() : []
+      funboxRender = global.Modes && Modes.getFunboxRender ? Modes.getFunboxRender() : []
+      shownAt = Date.now()
+      this.currentWordIndex = 0
+      results = []
+      typed = ''
+      keystrokes = { correct: 0, incorrect: 0 }
+      history = { wpm: [], raw: [], errors: [] }
+      sampleCursor = 0
+      keylog = []
+      keyStats = {}
+      bigramStats = {}
+      lastKeyAt = 0
+      startedAt = 0
+      started = false
+      finished = false
+      _emitWordState()
+      _emitHud({ timeLeft: _hasTimer() ? Timer.getDuration() : null, accuracy: null, elapsed: 0 })
+    },
 
-      // hidden input safe wiring for quick local UI reaction (will forward to Typing via main.js normally)
-      if (el.hiddenInput && !el.hiddenInput._wired) {
-        el.hiddenInput.addEventListener('keydown', (ev) => {
-          // prevent arrows from scrolling the page when focused invisibly
-          if (['ArrowUp','ArrowDown','PageUp','PageDown'].includes(ev.key)) ev.preventDefault()
-        })
-        el.hiddenInput._wired = true
-      }
+    start() {
+      if (started) return
+      started = true
+      startedAt = Date.now()
+      if (_hasTimer()) Timer.start(() => finish(), info => _onTimerTick(info))
     },
 
-    renderWordStream(wordStateOrList) {
-      // Accept either a typing-style currentWordState or a plain array of words.
-      const elWS = this.elements.wordStream
-      if (!elWS) return
-      try {
-        // If provided a state object with .word and .chars, render the visible window with highlighting
-        if (wordStateOrList && Array.isArray(wordStateOrList.words)) {
-          // full list (rare)
-          const arr = wordStateOrList.words
-          elWS.innerHTML = ''
-          arr.slice(0, 60).forEach((w, i) => {
-            const s = document.createElement('span')
-            s.className = 'word'
-            s.textContent = w + ' '
-            elWS.appendChild(s)
-          })
-          return
-        }
-
-        if (wordStateOrList && typeof wordStateOrList.word === 'string' && Array.isArray(wordStateOrList.chars)) {
-          // render a contextual window using global Typing.words if available for context
-          const idx = wordStateOrList.index || 0
-          const words = (window.Typing && Typing.words) ? Typing.words : [wordStateOrList.word]
-          const start = Math.max(0, idx - 6)
-          const end = Math.min(words.length, start + 40)
-          elWS.innerHTML = ''
-          for (let i = start; i < end; i++) {
-            const token = words[i]
-            const span = document.createElement('span')
-            span.className = 'word'
-            span.style.marginRight = '0.6rem'
-            if (i === idx) {
-              // highlight current word per-character
-              const typed = (i === idx) ? wordStateOrList.typed : ''
-              for (let c = 0; c < Math.max(token.length, typed.length); c++) {
-                const chSpan = document.createElement('span')
-                chSpan.textContent = token[c] || ''
-                chSpan.style.padding = '0 1px'
-                chSpan.style.borderRadius = '3px'
-                if (!typed[c]) {
-                  chSpan.style.opacity = 0.75
-                } else if (typed[c] === token[c]) {
-                  chSpan.style.background = '#37e67d'
-                  chSpan.style.color = '#042414'
-                } else {
-                  chSpan.style.background = '#7a1b1b'
-                  chSpan.style.color = '#fff'
-                }
-                span.appendChild(chSpan)
-              }
-              // overflow typed characters
-              if (typed.length > token.length) {
-                const over = document.createElement('span')
-                over.textContent = typed.slice(token.length)
-                over.style.background = '#7a1b1b'
-                over.style.color = '#fff'
-                over.style.marginLeft = '6px'
-                span.appendChild(over)
-              }
-            } else {
-              span.textContent = token
-              span.style.opacity = i < idx ? 0.5 : 0.9
-            }
-            elWS.appendChild(span)
-          }
-          return
-        }
-
-        // otherwise if an array of words passed
-        if (Array.isArray(wordStateOrList)) {
-          elWS.innerHTML = ''
-          wordStateOrList.slice(0, 60).forEach(w => {
-            const s = document.createElement('span')
-            s.className = 'word'
-            s.style.marginRight = '0.6rem'
-            s.textContent = w
-            elWS.appendChild(s)
-          })
-          return
-        }
-
-        // fallback: try to render Typing.words
-        if (window.Typing && Array.isArray(Typing.words)) {
-          elWS.innerHTML = ''
-          Typing.words.slice(Typing.currentWordIndex, Typing.currentWordIndex + 40).forEach(w => {
-            const s = document.createElement('span')
-            s.className = 'word'
-            s.style.marginRight = '0.6rem'
-            s.textContent = w
-            elWS.appendChild(s)
-          })
-        }
-      } catch (e) {
-        console.warn('[UI] renderWordStream failed', e)
-      }
+    // freeze the clock (e.g. window lost focus); the next input resumes it
+    pause() {
+      if (!started || finished || !_hasTimer()) return
+      Timer.pause()
     },
 
-    // show a small toast at bottom-right
-    showSavedToast(msg = 'Saved') {
-      // create toast container if needed
-      let t = document.getElementById('sebtype-toast')
-      if (!t) {
-        t = document.createElement('div')
-        t.id = 'sebtype-toast'
-        t.style.position = 'fixed'
-        t.style.right = '20px'
-        t.style.bottom = '20px'
-        t.style.background = 'rgba(11,38,24,0.95)'
-        t.style.color = 'var(--text)'
-        t.style.padding = '8px 12px'
-        t.style.borderRadius = '8px'
-        t.style.border = '1px solid rgba(55,230,125,0.12)'
-        t.style.zIndex = 9999
-        document.body.appendChild(t)
+    // value is the whole input box content; a trailing space (or '\n' in code tests) submits the word
+    processInput(value = '') {
+      if (finished) return
+      if (!started && value.trim()) this.start()
+      if (started && _hasTimer() && Timer.isPaused()) Timer.resume()
+      // [word, separator, word, separator, ..., rest]
+      const parts = String(value).split(codeMode ? /( |\n)/ : /( )/)
+      const last = parts.pop()
+      for (let i = 0; i < parts.length && !finished; i += 2) {
+        const part = parts[i]
+        // a separator on an empty word does not skip it
+        if (!part && !typed) continue
+        _countInsertedChars(typed, part)
+        typed = part
+        if (!finished) _submitWord(parts[i + 1])
       }
-      t.textContent = msg
-      t.style.opacity = '1'
-      if (this._toastTimer) clearTimeout(this._toastTimer)
-      this._toastTimer = setTimeout(() => { t.style.opacity = '0'; try{ t.remove() }catch(e){} }, 2500)
+      if (finished) return
+      _countInsertedChars(typed, last)
+      typed = last
+      if (finished) return
+      // the last word ends the test as soon as it is typed correctly, no space needed
+      const idx = this.currentWordIndex
+      if (idx === this.words.length - 1 && typed === _target(idx)) return _submitWord(null)
+      _emitWordState()
     },
 
-    // called when new run recorded (Data.recordRun calls UI.onNewRun if present)
-    onNewRun(rec) {
-      // mild animation in footer
-      try {
-        if (this.elements.footer) {
-          const old = this.elements.footer.style.transform
-          this.elements.footer.style.transform = 'translateY(-4px)'
-          setTimeout(()=>{ this.elements.footer.style.transform = old }, 200)
-        }
-      } catch (e) {}
+    processKeystroke(key) {
+      if (finished) return
+      // zen tests have no limit: the user decides when the run is over
+      if (key === 'Shift+Enter' && testType === 'zen' && started) finish()
     },
 
-    // optional: called by Modes when mode changes
-    onModeChange(mode) {
-      if (this.elements.modeDisplay) this.elements.modeDisplay.textContent = mode
-      this.showSavedToast(`Mode: ${mode}`)
-    }
-  }
+    finish,
+
+    isRunning() { return started && !finished },
 
-  // expose globally
-  global.UI = UI
-  // auto-init when DOM ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => UI.init())
-  } else {
-    setTimeout(()=>UI.init(), 0)
+    // code tests take Enter and Tab as input (main.js forwards them)
+    isCode() { return codeMode },
+
+    getStats() {
+      const elapsed = _elapsedSeconds()
+      return Object.assign({ accuracy: _accuracy(), elapsed }, _speeds(elapsed))
+    }
   }
 
+  global.Typing = Typing
 })(window)
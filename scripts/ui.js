@@ -1,134 +1,289 @@
+// scripts/ui.js
+// SebType UI helper that manages DOM widgets, panels, simple animations, and ties to Typing & Timer
+// Provides a defensive UI layer that main.js and other modules can rely on.
+// Exposes global UI with some helper callbacks and small utilities:
+// - UI.init(), UI.showSavedToast(msg), UI.onModeChange(mode), UI.onNewRun(rec)
+// - UI.renderWordStream(state) draws the words around state.index; code tokens (see modes.js) are
+//   laid out as lines: leading '\t's become indentation and a trailing '\n' ends the line.
+//   state.funbox lists Modes funbox render flags: 'memory' hides the words not yet typed
+//   MEMORY_MS after state.shownAt, 'hidden' drops the typed-character feedback and 'read-ahead'
+//   blurs the current word.
 
-// SebType UI Management
-// Handles all menu buttons, animations, panels, modals, etc.
-// Works together with main.js and typing.js
+(function (global) {
+  // how long the memory funbox shows the words
+  const MEMORY_MS = 5000
 
-const UI = (() => {
-    const elements = {
-        startButton: document.getElementById("start-btn"),
-        resetButton: document.getElementById("reset-btn"),
-        timerOptions: document.querySelectorAll(".timer-option"),
-        modeOptions: document.querySelectorAll(".mode-option"),
-        settingsBtn: document.getElementById("settings-btn"),
-        settingsPanel: document.getElementById("settings-panel"),
-        closeSettings: document.getElementById("close-settings"),
-        overlay: document.getElementById("overlay"),
-        graphCanvas: document.getElementById("graph"),
-        resultPanel: document.getElementById("result-panel"),
-        wordArea: document.getElementById("word-area"),
-        inputBox: document.getElementById("input-box"),
-        wpmStat: document.getElementById("wpm"),
-        accStat: document.getElementById("accuracy"),
-        timerDisplay: document.getElementById("timer-display"),
-        themeToggle: document.getElementById("theme-toggle"),
-        soundToggle: document.getElementById("sound-toggle"),
-        langDisplay: document.getElementById("lang-display"),
-        errorBox: document.getElementById("error-box")
-    };
+  const UI = {
+    // DOM refs (filled in init)
+    elements: {},
+    // small toast timer
+    _toastTimer: null,
+    // re-render when the memory funbox hides the words
+    _memoryTimer: null,
+    init() {
+      this._queryElements()
+      this._wireBasicControls()
+      console.log('%c[UI] Initialized', 'color:#37e67d')
+      return this
+    },
 
-    let isSettingsOpen = false;
+    _queryElements() {
+      const doc = document
+      const el = this.elements
+      el.app = doc.getElementById('app') || doc.body
+      el.navbar = doc.getElementById('navbar')
+      el.btnModes = doc.getElementById('btn-modes')
+      el.btnStats = doc.getElementById('btn-stats')
+      el.btnSettings = doc.getElementById('btn-settings')
+      el.wordStream = doc.getElementById('word-stream') || doc.getElementById('word-area')
+      el.hiddenInput = doc.getElementById('hidden-input') || doc.getElementById('input-box')
+      el.timerDisplay = doc.getElementById('timer-display')
+      el.modeDisplay = doc.getElementById('mode-display')
+      el.accuracyDisplay = doc.getElementById('accuracy-display')
+      el.results = doc.getElementById('results')
+      el.resultsWpm = doc.getElementById('stat-wpm')
+      el.resultsRaw = doc.getElementById('stat-raw')
+      el.resultsAcc = doc.getElementById('stat-acc')
+      el.resultsTime = doc.getElementById('stat-time')
+      el.graph = doc.getElementById('graph')
+      el.footer = doc.querySelector('footer')
+      el.errorBox = doc.getElementById('error-box') // optional
+      // fallback creation if important elements missing will be handled by main.js ensureBaseUI
+    },
 
-    const init = () => {
-        attachListeners();
-        loadPrefs();
-        console.log("%c[UI] Ready", "color: #37e67d");
-    };
+    _wireBasicControls() {
+      const el = this.elements
+      // nav buttons are wired in main.js too but we set safe listeners here so UI behaves if main.js missing
+      if (el.btnModes && !el.btnModes._wired) {
+        el.btnModes.addEventListener('click', (e) => {
+          if (typeof global.openModesPanel === 'function') return global.openModesPanel()
+          // otherwise fallback to show a tiny notice
+          this.showSavedToast('Modes panel (no main handler)')
+        })
+        el.btnModes._wired = true
+      }
+      if (el.btnSettings && !el.btnSettings._wired) {
+        el.btnSettings.addEventListener('click', (e) => {
+          if (typeof global.openSettingsPanel === 'function') return global.openSettingsPanel()
+          this.showSavedToast('Settings (no main handler)')
+        })
+        el.btnSettings._wired = true
+      }
+      if (el.btnStats && !el.btnStats._wired) {
+        el.btnStats.addEventListener('click', (e) => {
+          if (typeof global.openStatsPanel === 'function') return global.openStatsPanel()
+          this.showSavedToast('Stats (no main handler)')
+        })
+        el.btnStats._wired = true
+      }
 
-    const attachListeners = () => {
-        elements.startButton?.addEventListener("click", startTest);
-        elements.resetButton?.addEventListener("click", resetTest);
-        elements.settingsBtn?.addEventListener("click", toggleSettings);
-        elements.closeSettings?.addEventListener("click", toggleSettings);
-        elements.overlay?.addEventListener("click", () => {
-            if (isSettingsOpen) toggleSettings();
-        });
+      // clicking the word stream focuses the hidden input for quick typing
+      if (el.wordStream && !el.wordStream._wired) {
+        el.wordStream.addEventListener('click', () => {
+          try {
+            if (el.hiddenInput) el.hiddenInput.focus()
+          } catch (e) {}
+        })
+        el.wordStream._wired = true
+      }
 
-        elements.themeToggle?.addEventListener("change", toggleTheme);
-        elements.soundToggle?.addEventListener("change", toggleSound);
+      // hidden input safe wiring for quick local UI reaction (will forward to Typing via main.js normally)
+      if (el.hiddenInput && !el.hiddenInput._wired) {
+        el.hiddenInput.addEventListener('keydown', (ev) => {
+          // prevent arrows from scrolling the page when focused invisibly
+          if (['ArrowUp','ArrowDown','PageUp','PageDown'].includes(ev.key)) ev.preventDefault()
+        })
+        el.hiddenInput._wired = true
+      }
+    },
 
-        elements.timerOptions?.forEach(opt => {
-            opt.addEventListener("click", e => {
-                const time = parseInt(e.target.dataset.time);
-                Timer.setDuration(time);
-                elements.timerOptions.forEach(o => o.classList.remove("active"));
-                e.target.classList.add("active");
-            });
-        });
+    renderWordStream(wordStateOrList) {
+      // Accept either a typing-style currentWordState or a plain array of words.
+      const elWS = this.elements.wordStream
+      if (!elWS) return
+      try {
+        // If provided a state object with .word and .chars, render the visible window with highlighting
+        if (wordStateOrList && Array.isArray(wordStateOrList.words)) {
+          // full list (rare)
+          const arr = wordStateOrList.words
+          elWS.innerHTML = ''
+          arr.slice(0, 60).forEach((w, i) => {
+            const s = document.createElement('span')
+            s.className = 'word'
+            s.textContent = w + ' '
+            elWS.appendChild(s)
+          })
+          return
+        }
 
-        elements.modeOptions?.forEach(opt => {
-            opt.addEventListener("click", e => {
-                const mode = e.target.dataset.mode;
-                Modes.setMode(mode);
-                elements.modeOptions.forEach(o => o.classList.remove("active"));
-                e.target.classList.add("active");
-            });
-        });
-    };
+        if (wordStateOrList && typeof wordStateOrList.word === 'string' && Array.isArray(wordStateOrList.chars)) {
+          // render a contextual window using state.context (replays) or global Typing.words
+          const idx = wordStateOrList.index || 0
+          const words = Array.isArray(wordStateOrList.context) ? wordStateOrList.context
+            : (window.Typing && Typing.words) ? Typing.words : [wordStateOrList.word]
+          // code is shown whole so its lines stay put
+          const multiline = words.some(w => w.endsWith('\n'))
+          const funbox = Array.isArray(wordStateOrList.funbox) ? wordStateOrList.funbox : []
+          const hideTyped = funbox.includes('hidden')
+          let masked = false
+          if (this._memoryTimer) clearTimeout(this._memoryTimer)
+          this._memoryTimer = null
+          if (funbox.includes('memory')) {
+            const left = MEMORY_MS - (Date.now() - (wordStateOrList.shownAt || 0))
+            masked = left <= 0
+            if (!masked) this._memoryTimer = setTimeout(() => this.renderWordStream(wordStateOrList), left)
+          }
+          const start = multiline ? 0 : Math.max(0, idx - 6)
+          const end = multiline ? words.length : Math.min(words.length, start + 40)
+          elWS.innerHTML = ''
+          elWS.classList.toggle('code', multiline)
+          for (let i = start; i < end; i++) {
+            const raw = words[i]
+            const indent = raw.match(/^\t*/)[0].length
+            const lineEnd = raw.endsWith('\n')
+            // the current word compares against what the engine expects (tabs included when typed by hand)
+            const token = i === idx ? wordStateOrList.word : raw.slice(indent).replace(/\n$/, '')
+            const shownIndent = i === idx ? indent - token.match(/^\t*/)[0].length : indent
+            if (shownIndent) {
+              const pad = document.createElement('span')
+              pad.className = 'indent'
+              pad.style.width = `${shownIndent * 2}ch`
+              elWS.appendChild(pad)
+            }
+            const span = document.createElement('span')
+            span.className = 'word'
+            span.style.marginRight = '0.6rem'
+            if (i === idx) {
+              // highlight current word per-character
+              const typed = hideTyped ? '' : wordStateOrList.typed
+              if (funbox.includes('read-ahead')) span.classList.add('fb-blur')
+              for (let c = 0; c < Math.max(token.length, typed.length); c++) {
+                const chSpan = document.createElement('span')
+                // tabs typed by hand show as arrows
+                chSpan.textContent = token[c] === '\t' ? '→' : (token[c] || '')
+                chSpan.style.padding = '0 1px'
+                chSpan.style.borderRadius = '3px'
+                if (!typed[c]) {
+                  chSpan.style.opacity = 0.75
+                  if (masked && !(wordStateOrList.typed || '')[c]) chSpan.classList.add('fb-masked')
+                } else if (typed[c] === token[c]) {
+                  chSpan.style.background = '#37e67d'
+                  chSpan.style.color = '#042414'
+                } else {
+                  chSpan.style.background = '#7a1b1b'
+                  chSpan.style.color = '#fff'
+                }
+                span.appendChild(chSpan)
+              }
+              // overflow typed characters
+              if (typed.length > token.length) {
+                const over = document.createElement('span')
+                over.textContent = typed.slice(token.length)
+                over.style.background = '#7a1b1b'
+                over.style.color = '#fff'
+                over.style.marginLeft = '6px'
+                span.appendChild(over)
+              }
+            } else {
+              span.textContent = token
+              span.style.opacity = i < idx ? 0.5 : 0.9
+              if (masked && i > idx) span.classList.add('fb-masked')
+            }
+            if (lineEnd) {
+              const mark = document.createElement('span')
+              mark.className = 'newline-mark'
+              mark.textContent = '↵'
+              span.appendChild(mark)
+            }
+            elWS.appendChild(span)
+            if (lineEnd) {
+              const br = document.createElement('span')
+              br.className = 'line-break'
+              elWS.appendChild(br)
+            }
+          }
+          return
+        }
 
-    const startTest = () => {
-        Typing.start();
-        elements.wordArea.classList.add("active");
-        elements.inputBox.disabled = false;
-        elements.inputBox.focus();
-        elements.startButton.classList.add("hidden");
-        elements.resetButton.classList.remove("hidden");
-    };
+        // otherwise if an array of words passed
+        if (Array.isArray(wordStateOrList)) {
+          elWS.innerHTML = ''
+          wordStateOrList.slice(0, 60).forEach(w => {
+            const s = document.createElement('span')
+            s.className = 'word'
+            s.style.marginRight = '0.6rem'
+            s.textContent = w
+            elWS.appendChild(s)
+          })
+          return
+        }
 
-    const resetTest = () => {
-        Typing.reset();
-        Graph.clear();
-        elements.inputBox.value = "";
-        elements.wordArea.classList.remove("active");
-        elements.resultPanel.classList.add("hidden");
-        elements.startButton.classList.remove("hidden");
-        elements.resetButton.classList.add("hidden");
-    };
+        // fallback: try to render Typing.words
+        if (window.Typing && Array.isArray(Typing.words)) {
+          elWS.innerHTML = ''
+          Typing.words.slice(Typing.currentWordIndex, Typing.currentWordIndex + 40).forEach(w => {
+            const s = document.createElement('span')
+            s.className = 'word'
+            s.style.marginRight = '0.6rem'
+            s.textContent = w
+            elWS.appendChild(s)
+          })
+        }
+      } catch (e) {
+        console.warn('[UI] renderWordStream failed', e)
+      }
+    },
 
-    const toggleSettings = () => {
-        isSettingsOpen = !isSettingsOpen;
-        elements.settingsPanel.classList.toggle("open", isSettingsOpen);
-        elements.overlay.classList.toggle("visible", isSettingsOpen);
-    };
+    // show a small toast at bottom-right
+    showSavedToast(msg = 'Saved') {
+      // create toast container if needed
+      let t = document.getElementById('sebtype-toast')
+      if (!t) {
+        t = document.createElement('div')
+        t.id = 'sebtype-toast'
+        t.style.position = 'fixed'
+        t.style.right = '20px'
+        t.style.bottom = '20px'
+        t.style.background = 'rgba(11,38,24,0.95)'
+        t.style.color = 'var(--text)'
+        t.style.padding = '8px 12px'
+        t.style.borderRadius = '8px'
+        t.style.border = '1px solid rgba(55,230,125,0.12)'
+        t.style.zIndex = 9999
+        document.body.appendChild(t)
+      }
+      t.textContent = msg
+      t.style.opacity = '1'
+      if (this._toastTimer) clearTimeout(this._toastTimer)
+      this._toastTimer = setTimeout(() => { t.style.opacity = '0'; try{ t.remove() }catch(e){} }, 2500)
+    },
 
-    const toggleTheme = () => {
-        const root = document.documentElement;
-        const isDark = root.classList.toggle("dark-theme");
-        localStorage.setItem("sebtype_theme", isDark ? "dark" : "light");
-    };
+    // called when new run recorded (Data.recordRun calls UI.onNewRun if present)
+    onNewRun(rec) {
+      // mild animation in footer
+      try {
+        if (this.elements.footer) {
+          const old = this.elements.footer.style.transform
+          this.elements.footer.style.transform = 'translateY(-4px)'
+          setTimeout(()=>{ this.elements.footer.style.transform = old }, 200)
+        }
+      } catch (e) {}
+    },
 
-    const toggleSound = () => {
-        const enabled = elements.soundToggle.checked;
-        localStorage.setItem("sebtype_sound", enabled);
-    };
+    // optional: called by Modes when mode changes
+    onModeChange(mode) {
+      if (this.elements.modeDisplay) this.elements.modeDisplay.textContent = mode
+      this.showSavedToast(`Mode: ${mode}`)
+    }
+  }
 
-    const loadPrefs = () => {
-        const theme = localStorage.getItem("sebtype_theme") || "dark";
-        const sound = localStorage.getItem("sebtype_sound") === "true";
+  // expose globally
+  global.UI = UI
+  // auto-init when DOM ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => UI.init())
+  } else {
+    setTimeout(()=>UI.init(), 0)
+  }
 
-        if (theme === "dark") document.documentElement.classList.add("dark-theme");
-        elements.soundToggle.checked = sound;
-    };
-
-    const showError = msg => {
-        elements.errorBox.textContent = msg;
-        elements.errorBox.classList.add("show");
-        setTimeout(() => {
-            elements.errorBox.classList.remove("show");
-        }, 3000);
-    };
-
-    const showResults = stats => {
-        elements.resultPanel.classList.remove("hidden");
-        elements.wpmStat.textContent = stats.wpm;
-        elements.accStat.textContent = `${stats.accuracy}%`;
-        Graph.render(stats.history);
-    };
-
-    return {
-        init,
-        showResults,
-        showError
-    };
-})();
-
-document.addEventListener("DOMContentLoaded", UI.init);
+})(window)